@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+// Audits the whole catalog for problems between apps.
+//
+// Pull request validation only looks at the metadata.json files a PR changes.
+// This loads every app and reports what only shows up across apps: duplicate
+// names within a category, folders installing the same repository files,
+// folders not nested as repositories/<owner>/<repo>/<App>, and apps that
+// install files to the same path on a device.
+//
+// Directory and glob entries are checked as the files they match: the files
+// the current release lists while an app is unchanged, or else the files of
+// its repository at the pinned commit, read from a local clone
+// ($RELEASE_SOURCES_DIR), the cache ($RELEASE_CACHE_DIR) or GitHub.
+//
+// Usage:
+//   node .github/scripts/audit-catalog.js [--json] [--offline]
+//
+// Options:
+//   --json      Print a JSON report instead of the findings
+//   --offline   Do not list repository files on GitHub
+//   --help      Show this help
+//
+// Exit codes: 0 when there are no errors (warnings are allowed), 1 when there
+// are, 2 on usage errors.
+
+const path = require('path');
+const { loadCatalog } = require('./lib/catalog');
+const { loadDeviceRegistry } = require('./lib/devices');
+const { AUDIT_RULES, auditCatalog } = require('./lib/audit');
+const { createSourceResolver } = require('./lib/sources');
+const { RELEASES_DIR, readReleasedApps, expandCatalogApps } = require('./lib/releases');
+
+// Function to print usage information
+function printUsage() {
+    console.log('Usage: node .github/scripts/audit-catalog.js [--json] [--offline]');
+    console.log('');
+    console.log('Reports problems between the apps in repositories/.');
+}
+
+// Function to parse command line arguments
+function parseArguments(argv) {
+    const options = { json: false, offline: false, help: false };
+
+    for (const arg of argv) {
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--offline') {
+            options.offline = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// Main function
+async function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printUsage();
+        return;
+    }
+
+    const catalog = loadCatalog();
+    const resolver = createSourceResolver({
+        sourcesDir: process.env.RELEASE_SOURCES_DIR || null,
+        cacheDir: process.env.RELEASE_CACHE_DIR || null,
+        offline: options.offline
+    });
+    const { apps, unexpanded } = await expandCatalogApps(catalog.apps, readReleasedApps(path.join(RELEASES_DIR, 'category-all.json')), resolver);
+    const findings = auditCatalog({ ...catalog, apps }, loadDeviceRegistry(), unexpanded);
+    const errors = findings.filter(finding => finding.severity === 'error');
+    const warnings = findings.filter(finding => finding.severity === 'warning');
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            success: errors.length === 0,
+            apps: catalog.apps.length + catalog.skipped.length,
+            errors: errors.length,
+            warnings: warnings.length,
+            findings
+        }, null, 2));
+    } else {
+        console.log(`🔍 Auditing ${catalog.apps.length + catalog.skipped.length} apps...`);
+
+        for (const rule of Object.keys(AUDIT_RULES)) {
+            const ruleFindings = findings.filter(finding => finding.rule === rule);
+            if (ruleFindings.length === 0) {
+                continue;
+            }
+
+            console.log('');
+            console.log(`${AUDIT_RULES[rule].severity === 'error' ? '❌' : '⚠️ '} ${AUDIT_RULES[rule].description} (${rule})`);
+            for (const { message } of ruleFindings) {
+                console.log(`   - ${message}`);
+            }
+        }
+
+        console.log('');
+        if (errors.length > 0) {
+            console.log(`❌ ${errors.length} error(s), ${warnings.length} warning(s)`);
+        } else {
+            console.log(`✅ No errors, ${warnings.length} warning(s)`);
+        }
+    }
+
+    // Set the exit code instead of exiting so the JSON report is fully flushed to a pipe
+    if (errors.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Audit failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+// Builds every file in releases/ in a single pass over repositories/:
+// category-<slug>.json, category-<slug>.min.json, categories.json and
+// category-all.json, plus a delta feed changes/<from>-<to>.json whenever an
+// app was added, updated or removed since the previous catalog revision, and
+// device-<slug>/ folders holding only the apps each device can install, and
+// logos/ with pre-scaled PNG, RGB565 and 1-bit versions of every app's logo.
+// Every installable file is resolved at its pinned commit so the index can
+// carry its size and SHA-256. The files are written to a staging directory
+// first and only swapped into releases/ once all of them have been generated.
+//
+// Usage:
+//   node .github/scripts/build-releases.js [options]
+//
+// Options:
+//   --reproducible    Never fall back to the current time; timestamps must come
+//                     from git history or SOURCE_DATE_EPOCH
+//   --check           Build in reproducible mode and exit with 1 if releases/
+//                     differs from the fresh build, without writing anything
+//   --sources <dir>   Read app files from local clones at <dir>/<owner>/<repo>
+//                     (default: $RELEASE_SOURCES_DIR)
+//   --cache <dir>     Cache downloaded app files in <dir>
+//                     (default: $RELEASE_CACHE_DIR)
+//   --offline         Never download app files from GitHub (implied by --check)
+//
+// Files already listed in the current release for the same commit are not
+// read again, since their content cannot change. Directory and glob entries
+// in files are expanded into the files they match at the pinned commit, and
+// that list is reused until the commit, path or entries change.
+
+const fs = require('fs');
+const path = require('path');
+const { loadCatalog, removeCatalogApps } = require('./lib/catalog');
+const { createSourceResolver, getKnownFiles } = require('./lib/sources');
+const { loadDeviceRegistry } = require('./lib/devices');
+const { addLogoDerivatives } = require('./lib/logo-derivatives');
+const {
+    RELEASES_DIR,
+    getAppTimestamps,
+    getGeneratedTimestamp,
+    expandFilePatterns,
+    addFileDetails,
+    readReleaseRevision,
+    readChangeFiles,
+    buildReleaseHistory,
+    buildReleaseFiles,
+    writeStagingDirectory,
+    swapIntoReleases,
+    diffReleaseFiles,
+    readReleasedApps,
+    summarizeAppChanges,
+    formatAppChanges
+} = require('./lib/releases');
+
+// Function to parse command line arguments
+function parseArguments(argv) {
+    const options = {
+        check: false,
+        reproducible: false,
+        offline: false,
+        sourcesDir: process.env.RELEASE_SOURCES_DIR || null,
+        cacheDir: process.env.RELEASE_CACHE_DIR || null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--check') {
+            options.check = true;
+        } else if (arg === '--reproducible') {
+            options.reproducible = true;
+        } else if (arg === '--offline') {
+            options.offline = true;
+        } else if (arg === '--sources' || arg === '--cache') {
+            if (!argv[i + 1]) {
+                throw new Error(`${arg} requires a directory`);
+            }
+            options[arg === '--sources' ? 'sourcesDir' : 'cacheDir'] = path.resolve(argv[++i]);
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    // Checking must not depend on the current time or the network
+    if (options.check) {
+        options.reproducible = true;
+        options.offline = true;
+    }
+
+    return options;
+}
+
+// Main function
+async function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('Usage: node .github/scripts/build-releases.js [--reproducible] [--check] [--sources <dir>] [--cache <dir>] [--offline]');
+        process.exit(2);
+    }
+    const { check } = options;
+
+    console.log(check ? '🔄 Checking release files are up to date...' : '🔄 Building release files...');
+
+    // Load every app once through the shared catalog
+    const catalog = loadCatalog();
+    console.log(`📁 Found ${catalog.metadataFiles.length} metadata files`);
+    console.log(`📊 Processed: ${catalog.apps.length}, Skipped: ${catalog.skipped.length}`);
+
+    if (catalog.apps.length === 0) {
+        console.log('ℹ️ No valid metadata files found. Release files were not changed.');
+        return;
+    }
+
+    // Read app files at their pinned commits, reusing what the current release already lists
+    const previousApps = readReleasedApps(path.join(RELEASES_DIR, 'category-all.json'));
+    const resolver = createSourceResolver({
+        sourcesDir: options.sourcesDir,
+        cacheDir: options.cacheDir,
+        offline: options.offline,
+        knownFiles: getKnownFiles(previousApps)
+    });
+
+    // List the files matched by directory and glob entries, so devices get an explicit file list
+    const unexpanded = await expandFilePatterns(catalog, resolver, previousApps);
+    for (const { slug, reason } of unexpanded) {
+        console.log(`⚠️ Skipping ${slug}: ${reason}`);
+    }
+    removeCatalogApps(catalog, unexpanded.map(({ slug }) => slug));
+
+    // Resolve the size and SHA-256 of every installable file
+    const unresolved = await addFileDetails(catalog, resolver);
+    if (unresolved.length > 0) {
+        console.log(`⚠️ File details unavailable for ${unresolved.length} app(s): ${unresolved.join(', ')}`);
+    } else {
+        console.log('🔐 Resolved file sizes and hashes for every app');
+    }
+
+    // Pre-scale every app's logo for devices that cannot scale or decode PNGs themselves
+    const logos = addLogoDerivatives(catalog);
+    console.log(`🖼️ Built ${logos.files.size} logo derivatives`);
+    for (const { slug, reason } of logos.failed) {
+        console.log(`⚠️ No logo derivatives for ${slug}: ${reason}`);
+    }
+
+    // Compare with the previous release to work out the catalog revision and delta feed
+    const summary = summarizeAppChanges(previousApps, catalog.bySlug);
+    const history = buildReleaseHistory(
+        catalog,
+        previousApps,
+        summary,
+        readReleaseRevision(path.join(RELEASES_DIR, 'categories.json')),
+        readChangeFiles()
+    );
+
+    // Generate all release files in memory
+    const timestamps = getAppTimestamps(catalog, options);
+    const devices = loadDeviceRegistry();
+    const files = buildReleaseFiles(catalog, timestamps, getGeneratedTimestamp(options), history, devices, logos.files);
+
+    // Compare against the committed files without writing anything
+    if (check) {
+        const differences = diffReleaseFiles(files);
+        if (differences.length === 0) {
+            console.log(`✅ All ${files.size} release files match a fresh build`);
+            return;
+        }
+
+        console.log(`❌ ${differences.length} release file(s) differ from a fresh build:`);
+        for (const { file, status } of differences) {
+            console.log(`   - ${file} (${status})`);
+        }
+        console.log('Run `node .github/scripts/build-releases.js` and commit the result.');
+        process.exit(1);
+    }
+
+    // Write them to a staging directory and swap it into place
+    const stagingDir = writeStagingDirectory(files);
+    console.log(`📦 Wrote ${files.size} files to staging directory`);
+
+    swapIntoReleases(stagingDir);
+    console.log('✅ Swapped staging directory into releases/');
+
+    // Report what changed per app since the previous release
+    const report = formatAppChanges(summary);
+
+    console.log('');
+    console.log('📋 Summary:');
+    console.log(`   Categories: ${catalog.categories.length}`);
+    console.log(`   Total apps: ${catalog.apps.length}`);
+    console.log(`   Devices: ${devices.length}`);
+    console.log(`   Release files: ${files.size}`);
+    console.log(`   Catalog revision: ${history.revision}`);
+    console.log('');
+    console.log('🔍 Changes since previous release:');
+    console.log(report.trim().split('\n').map(line => `   ${line}`).join('\n'));
+
+    // Add the change summary to the GitHub Actions job summary when available
+    if (process.env.GITHUB_STEP_SUMMARY) {
+        fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `## 📦 Release changes\n\n${report}\n`);
+    }
+
+    console.log('✅ Release build complete!');
+}
+
+// Run the script
+main().catch(error => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+});
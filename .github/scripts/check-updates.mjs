@@ -1,6 +1,6 @@
 import { Octokit } from "@octokit/rest";
-import fs from 'fs';
 import path from 'path';
+import { loadCatalog } from './lib/catalog.js';
 
 const octokit = new Octokit({
   auth: process.env.GITHUB_TOKEN,
@@ -55,44 +55,22 @@ async function getFileChanges(owner, repo, oldCommit, newCommit, filePaths) {
   }
 }
 
-function findMetadataFiles(dir) {
-  const metadataFiles = [];
-  
-  function searchRecursively(currentDir) {
-    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-    
-    for (const entry of entries) {
-      const fullPath = path.join(currentDir, entry.name);
-      
-      if (entry.isDirectory()) {
-        searchRecursively(fullPath);
-      } else if (entry.name === 'metadata.json') {
-        metadataFiles.push(fullPath);
-      }
-    }
-  }
-  
-  searchRecursively(dir);
-  return metadataFiles;
-}
-
 async function main() {
   console.log('🔍 Starting metadata update check...\n');
   
-  const metadataFiles = findMetadataFiles('./repositories');
-  console.log(`📁 Found ${metadataFiles.length} metadata files\n`);
+  const { apps, skipped } = loadCatalog();
+  console.log(`📁 Found ${apps.length + skipped.length} metadata files\n`);
   
-  let totalChecked = 0;
+  let totalChecked = skipped.length;
   let updatesAvailable = 0;
-  let errors = 0;
+  let errors = skipped.length;
   
   const detailedOutput = process.env.DETAILED_OUTPUT === 'true';
   const onlyShowUpdates = process.env.ONLY_SHOW_UPDATES === 'true';
   
-  for (const metadataFile of metadataFiles) {
+  for (const metadata of apps) {
     try {
       totalChecked++;
-      const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
       
       // Skip showing repository info if only showing updates and this repo is up to date
       const shouldShowBasicInfo = !onlyShowUpdates;
@@ -202,7 +180,7 @@ async function main() {
       await new Promise(resolve => setTimeout(resolve, 100));
       
     } catch (error) {
-      console.error(`❌ Error processing ${metadataFile}: ${error.message}\n`);
+      console.error(`❌ Error processing ${metadata.metadataPath}: ${error.message}\n`);
       errors++;
     }
   }
@@ -0,0 +1,186 @@
+const path = require('path');
+const { ROOT_DIR, compareText, getAppFolder } = require('./catalog');
+const { getFileSets } = require('./theme-variants');
+const { resolveFileEntry } = require('./sources');
+const { getCompatibleDevices } = require('./devices');
+const { getInstallFolder, getInstallPaths, getInstallPathKey } = require('./install-paths');
+const { isPatternEntry } = require('./file-patterns');
+
+// Cross-app problems the audit reports, keyed by rule id
+const AUDIT_RULES = {
+    'invalid-metadata': { severity: 'error', description: 'metadata.json cannot be loaded, so the app is left out of the releases' },
+    'folder-layout': { severity: 'error', description: 'The app folder is not repositories/<owner>/<repo>/<App>' },
+    'duplicate-name': { severity: 'error', description: 'Apps with the same name in a category are offered to the same device' },
+    'duplicate-source': { severity: 'error', description: 'Folders install exactly the same files from the same repository' },
+    'shared-files': { severity: 'warning', description: 'Folders install the same source files from a repository' },
+    'install-collision': { severity: 'error', description: 'Apps install a file to the same path on a device' },
+    'unexpanded-files': { severity: 'warning', description: 'Directory or glob entries could not be expanded, so the files they match are not checked' }
+};
+
+// Function to create an audit finding
+function createFinding(rule, message, slugs) {
+    return { rule, severity: AUDIT_RULES[rule].severity, message, slugs };
+}
+
+// Function to group apps by a key, keeping only the keys shared by more than one app
+// getKeys returns the keys of an app (an app is listed once per key)
+function groupApps(apps, getKeys) {
+    const groups = new Map();
+    for (const app of apps) {
+        for (const key of new Set(getKeys(app))) {
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(app);
+        }
+    }
+    return Array.from(groups.entries()).filter(([, group]) => group.length > 1);
+}
+
+// Function to list the pairs of apps in a group that can be installed on the same device
+// Apps made for different devices (e.g. a game built per device) never meet on one device
+// Returns [{ apps: [a, b], device }] where device is the name of a device both support
+function findSharedDevicePairs(group, compatibleDevices) {
+    const pairs = [];
+    for (let first = 0; first < group.length; first++) {
+        for (let second = first + 1; second < group.length; second++) {
+            const devices = compatibleDevices.get(group[second].slug);
+            const device = compatibleDevices.get(group[first].slug).find(candidate => devices.includes(candidate));
+            if (device) {
+                pairs.push({ apps: [group[first], group[second]], device });
+            }
+        }
+    }
+    return pairs;
+}
+
+// Function to check that an app folder is repositories/<owner>/<repo>/<App> for the app's owner and repo
+function checkFolderLayout(app) {
+    const folder = getAppFolder(path.join(ROOT_DIR, app.metadataPath));
+    const segments = folder.split('/');
+    const expected = `${app.owner}/${app.repo}/<App>`;
+
+    if (segments.length !== 3) {
+        return createFinding('folder-layout', `\`repositories/${folder}\` must be nested as \`repositories/${expected}\``, [app.slug]);
+    }
+    if (segments[0] !== app.owner || segments[1] !== app.repo) {
+        return createFinding('folder-layout', `\`repositories/${folder}\` is not in the folder of its repository, \`repositories/${app.owner}/${app.repo}\``, [app.slug]);
+    }
+    return null;
+}
+
+// Function to get the repository files a file set installs, as owner/repo:path keys
+// Directory and glob entries that could not be expanded are left out
+function getSourceFileKeys(app, fileSet) {
+    return (fileSet.files || []).filter(file => !isPatternEntry(file)).map(file => `${app.owner}/${app.repo}:${resolveFileEntry(fileSet, file).repositoryPath}`);
+}
+
+// Function to find the files of an app that another app installs to the same path on a device
+// Only apps that share a compatible device with the app can collide; the app itself
+// (another app with the same slug, e.g. its published version) is skipped
+// unexpanded lists the slugs of apps whose directory and glob entries could not be expanded
+// Returns { collisions: [{ path, slug, device }], unchecked: [{ slug, device }] } where device is
+// the name of a device both support and unchecked the unexpanded apps installing into the same folder
+function findInstallCollisions(app, apps, devices, unexpanded = []) {
+    const compatibleDevices = getCompatibleDevices(app, devices).map(device => device.name);
+    const installPaths = new Map(getInstallPaths(app).map(entry => [getInstallPathKey(entry.path), entry.path]));
+    const collisions = [];
+    const unchecked = [];
+
+    for (const other of apps.filter(other => other.slug !== app.slug)) {
+        const otherDevices = getCompatibleDevices(other, devices).map(device => device.name);
+        const device = compatibleDevices.find(name => otherDevices.includes(name));
+        if (!device) {
+            continue;
+        }
+
+        if (unexpanded.includes(other.slug) && getInstallPathKey(getInstallFolder(other)) === getInstallPathKey(getInstallFolder(app))) {
+            unchecked.push({ slug: other.slug, device });
+        }
+        for (const entry of getInstallPaths(other)) {
+            const key = getInstallPathKey(entry.path);
+            if (installPaths.has(key)) {
+                collisions.push({ path: installPaths.get(key), slug: other.slug, device });
+            }
+        }
+    }
+
+    return { collisions, unchecked };
+}
+
+// Function to audit the whole catalog for problems between apps that per-PR validation cannot see
+// devices is the device registry, used to tell whether two apps can meet on one device
+// The directory and glob entries of the catalog apps should be expanded (see expandCatalogApps);
+// unexpanded lists the slugs of the apps whose entries could not be
+// Returns findings [{ rule, severity, message, slugs }] in a stable order
+function auditCatalog(catalog, devices, unexpanded = []) {
+    const findings = [];
+    const compatibleDevices = new Map(catalog.apps.map(app => [app.slug, getCompatibleDevices(app, devices).map(device => device.name)]));
+    const formatSlugs = apps => apps.map(app => `\`${app.slug}\``).join(' and ');
+
+    for (const filePath of catalog.skipped) {
+        const folder = getAppFolder(filePath);
+        findings.push(createFinding('invalid-metadata', `\`repositories/${folder}/metadata.json\` is skipped by the release builder, run the validator on it`, [folder]));
+    }
+
+    for (const app of catalog.apps) {
+        const finding = checkFolderLayout(app);
+        if (finding) {
+            findings.push(finding);
+        }
+    }
+
+    // The App Store lists apps by name within a category
+    for (const [, group] of groupApps(catalog.apps, app => [`${app.category}\n${app.name.trim().toLowerCase()}`])) {
+        for (const { apps, device } of findSharedDevicePairs(group, compatibleDevices)) {
+            findings.push(createFinding('duplicate-name', `${formatSlugs(apps)} are both listed as \`${apps[0].name}\` in ${apps[0].category} on ${device}`, apps.map(app => app.slug)));
+        }
+    }
+
+    // Two folders installing exactly the same repository files are copies of one app
+    const duplicateGroups = new Set();
+    const getFileSetKey = (app, fileSet) => getSourceFileKeys(app, fileSet).sort().join('\n');
+    for (const [key, group] of groupApps(catalog.apps, app => getFileSets(app).map(fileSet => getFileSetKey(app, fileSet)).filter(Boolean))) {
+        duplicateGroups.add(group.map(app => app.slug).join('\n'));
+        const files = key.split('\n');
+        findings.push(createFinding('duplicate-source', `${formatSlugs(group)} install the same ${files.length} file(s) from \`${files[0].split(':')[0]}\`, e.g. \`${files[0].split(':')[1]}\``, group.map(app => app.slug)));
+    }
+
+    // Sharing some source files is allowed (e.g. a v2 theme reusing images) but worth knowing about
+    const sharedFiles = new Map();
+    for (const [key, group] of groupApps(catalog.apps, app => getFileSets(app).flatMap(fileSet => getSourceFileKeys(app, fileSet)))) {
+        const groupKey = group.map(app => app.slug).join('\n');
+        if (!sharedFiles.has(groupKey)) {
+            sharedFiles.set(groupKey, { group, files: [] });
+        }
+        sharedFiles.get(groupKey).files.push(key.slice(key.indexOf(':') + 1));
+    }
+    for (const [groupKey, { group, files }] of sharedFiles) {
+        if (duplicateGroups.has(groupKey)) {
+            continue;
+        }
+        findings.push(createFinding('shared-files', `${formatSlugs(group)} install ${files.length} of the same file(s) from ${group[0].owner}/${group[0].repo}, e.g. \`${files[0]}\``, group.map(app => app.slug)));
+    }
+
+    // Apps in a category share its folder, so two apps installing the same file name overwrite each other
+    const installPaths = new Map(catalog.apps.map(app => [app.slug, getInstallPaths(app)]));
+    for (const [key, group] of groupApps(catalog.apps, app => installPaths.get(app.slug).map(({ path: installPath }) => getInstallPathKey(installPath)))) {
+        const installPath = installPaths.get(group[0].slug).find(entry => getInstallPathKey(entry.path) === key).path;
+        for (const { apps, device } of findSharedDevicePairs(group, compatibleDevices)) {
+            findings.push(createFinding('install-collision', `${formatSlugs(apps)} both install \`${installPath}\` on ${device}`, apps.map(app => app.slug)));
+        }
+    }
+
+    for (const slug of unexpanded) {
+        findings.push(createFinding('unexpanded-files', `\`${slug}\` has directory or glob entries whose files could not be listed, they are not checked against other apps`, [slug]));
+    }
+
+    return findings.sort((a, b) =>
+        Object.keys(AUDIT_RULES).indexOf(a.rule) - Object.keys(AUDIT_RULES).indexOf(b.rule) || compareText(a.message, b.message));
+}
+
+module.exports = {
+    AUDIT_RULES,
+    findInstallCollisions,
+    auditCatalog
+};
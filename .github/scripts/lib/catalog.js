@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { loadMetadataSchema, validateMetadataSchema, formatSchemaError } = require('./metadata-schema');
+const { checkAppPaths } = require('./path-safety');
+
+// Root of the App Store data repository and the folder holding every app
+const ROOT_DIR = path.join(__dirname, '..', '..', '..');
+const REPOSITORIES_DIR = path.join(ROOT_DIR, 'repositories');
+
+// Collator with a fixed locale so sort order does not depend on the machine
+const textCollator = new Intl.Collator('en', { sensitivity: 'variant' });
+
+// Function to compare two strings in a stable, locale-independent order
+function compareText(a, b) {
+    const result = textCollator.compare(a, b);
+    if (result !== 0) return result;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Function to compare semantic versions (returns 1 if v1 > v2, -1 if v1 < v2, 0 if equal)
+function compareVersions(v1, v2) {
+    const parts1 = v1.split('.').map(Number);
+    const parts2 = v2.split('.').map(Number);
+
+    for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
+        const part1 = parts1[i] || 0;
+        const part2 = parts2[i] || 0;
+
+        if (part1 > part2) return 1;
+        if (part1 < part2) return -1;
+    }
+    return 0;
+}
+
+// Function to recursively find all metadata.json files
+function findMetadataFiles(dir = REPOSITORIES_DIR) {
+    const metadataFiles = [];
+
+    if (!fs.existsSync(dir)) {
+        return metadataFiles;
+    }
+
+    const items = fs.readdirSync(dir, { withFileTypes: true });
+
+    for (const item of items) {
+        const fullPath = path.join(dir, item.name);
+
+        if (item.isDirectory()) {
+            // Recursively search subdirectories
+            metadataFiles.push(...findMetadataFiles(fullPath));
+        } else if (item.name === 'metadata.json') {
+            metadataFiles.push(fullPath);
+        }
+    }
+
+    // Sort for a stable order regardless of filesystem
+    return metadataFiles.sort(compareText);
+}
+
+// Function to load valid categories from categories.json
+function loadValidCategories() {
+    try {
+        const categoriesPath = path.join(ROOT_DIR, 'categories.json');
+        const categoriesContent = fs.readFileSync(categoriesPath, 'utf8');
+        return JSON.parse(categoriesContent);
+    } catch (error) {
+        console.log(`❌ Could not load \`categories.json\` - ${error.message}`);
+        console.log('Please ensure \`categories.json\` exists and contains a valid JSON array of category names');
+        return null;
+    }
+}
+
+// Function to order object keys canonically: known keys first, then the rest alphabetically
+function orderKeys(object, knownKeys) {
+    const ordered = {};
+    for (const key of knownKeys) {
+        if (key in object) {
+            ordered[key] = object[key];
+        }
+    }
+    for (const key of Object.keys(object).filter(key => !knownKeys.includes(key)).sort()) {
+        ordered[key] = object[key];
+    }
+    return ordered;
+}
+
+// Function to put the mapping objects of a files array in canonical key order
+function canonicalizeFiles(files) {
+    return files.map(file =>
+        file && typeof file === 'object' ? orderKeys(file, ['source', 'destination']) : file
+    );
+}
+
+// Function to put metadata fields in the canonical order defined by metadata.schema.json
+function canonicalizeMetadata(metadata) {
+    const canonical = orderKeys(metadata, Object.keys(loadMetadataSchema().properties));
+
+    if (Array.isArray(canonical.files)) {
+        canonical.files = canonicalizeFiles(canonical.files);
+    }
+
+    // Theme variants carry their own supported-screen-size, path and files
+    if (Array.isArray(canonical.variants)) {
+        canonical.variants = canonical.variants.map(variant => {
+            const orderedVariant = orderKeys(variant, ['supported-screen-size', 'path', 'files']);
+            orderedVariant.files = canonicalizeFiles(orderedVariant.files);
+            return orderedVariant;
+        });
+    }
+
+    return canonical;
+}
+
+// Function to get the slug used for a category in release file names
+function getCategorySlug(category) {
+    return category.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+// Function to get the app slug in the published format owner/repo/<app folder name>
+// Devices track installed apps by slug, so it must not change for existing apps. It matches the
+// folder relative to repositories/ when the app is laid out as repositories/<owner>/<repo>/<App>
+function getAppSlug(metadataFilePath, metadata) {
+    const appFolderName = path.basename(path.dirname(path.resolve(metadataFilePath)));
+    return `${metadata.owner}/${metadata.repo}/${appFolderName}`;
+}
+
+// Function to get the app folder relative to repositories/
+function getAppFolder(metadataFilePath) {
+    const appDirectory = path.dirname(path.resolve(metadataFilePath));
+    return path.relative(REPOSITORIES_DIR, appDirectory).replace(/\\/g, '/');
+}
+
+// Function to load, validate and normalize a single metadata.json file
+function loadMetadata(filePath) {
+    try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const { $schema, ...metadata } = JSON.parse(content);
+
+        // Validate against metadata.schema.json
+        const schemaErrors = validateMetadataSchema(metadata);
+        if (schemaErrors.length > 0) {
+            console.warn(`⚠️ Skipping ${filePath}: ${schemaErrors.map(formatSchemaError).join('; ')}`);
+            return null;
+        }
+
+        // Unsafe paths must never reach the release files, where devices would install them
+        const pathProblems = checkAppPaths(metadata);
+        if (pathProblems.length > 0) {
+            console.warn(`⚠️ Skipping ${filePath}: ${pathProblems.map(problem => `${problem.message} (at ${problem.pointer})`).join('; ')}`);
+            return null;
+        }
+
+        return {
+            ...canonicalizeMetadata(metadata),
+            slug: getAppSlug(filePath, metadata),
+            metadataPath: path.relative(ROOT_DIR, path.resolve(filePath)).replace(/\\/g, '/')
+        };
+    } catch (error) {
+        console.warn(`⚠️ Skipping ${filePath}: ${error.message}`);
+        return null;
+    }
+}
+
+// Function to load every app once and index it by slug and category
+function loadCatalog(repositoriesDir = REPOSITORIES_DIR) {
+    const metadataFiles = findMetadataFiles(repositoriesDir);
+    const validCategories = loadValidCategories() || [];
+
+    const apps = [];
+    const skipped = [];
+    const bySlug = new Map();
+    const byCategory = new Map();
+
+    for (const filePath of metadataFiles) {
+        const app = loadMetadata(filePath);
+        if (!app) {
+            skipped.push(filePath);
+            continue;
+        }
+
+        if (!validCategories.includes(app.category)) {
+            console.warn(`⚠️ ${app.slug}: category '${app.category}' is not listed in categories.json`);
+        }
+
+        apps.push(app);
+        bySlug.set(app.slug, app);
+
+        if (!byCategory.has(app.category)) {
+            byCategory.set(app.category, []);
+        }
+        byCategory.get(app.category).push(app);
+    }
+
+    // Sort apps by name (then slug) and categories by name for consistent ordering
+    const compareApps = (a, b) => compareText(a.name, b.name) || compareText(a.slug, b.slug);
+    apps.sort(compareApps);
+
+    const categories = Array.from(byCategory.entries())
+        .map(([name, categoryApps]) => ({
+            name,
+            slug: getCategorySlug(name),
+            apps: categoryApps.sort(compareApps)
+        }))
+        .sort((a, b) => compareText(a.name, b.name));
+
+    return {
+        metadataFiles,
+        validCategories,
+        apps,
+        skipped,
+        categories,
+        bySlug
+    };
+}
+
+// Function to remove apps from a loaded catalog, e.g. apps the release builder cannot publish
+// Removed apps are listed with the skipped metadata files, and emptied categories are dropped
+function removeCatalogApps(catalog, slugs) {
+    const removed = new Set(slugs.filter(slug => catalog.bySlug.has(slug)));
+    if (removed.size === 0) {
+        return;
+    }
+
+    for (const slug of removed) {
+        catalog.skipped.push(path.join(ROOT_DIR, catalog.bySlug.get(slug).metadataPath));
+        catalog.bySlug.delete(slug);
+    }
+    catalog.apps = catalog.apps.filter(app => !removed.has(app.slug));
+    catalog.categories = catalog.categories
+        .map(category => ({ ...category, apps: category.apps.filter(app => !removed.has(app.slug)) }))
+        .filter(category => category.apps.length > 0);
+}
+
+module.exports = {
+    ROOT_DIR,
+    REPOSITORIES_DIR,
+    compareText,
+    compareVersions,
+    findMetadataFiles,
+    loadValidCategories,
+    getCategorySlug,
+    getAppSlug,
+    getAppFolder,
+    loadMetadata,
+    loadCatalog,
+    removeCatalogApps
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./catalog');
+const { validateSchema } = require('./json-schema');
+const { formatSchemaError } = require('./metadata-schema');
+const { getThemeScreenSizes } = require('./theme-variants');
+
+// Device registry and the schema it is validated against
+const DEVICES_PATH = path.join(ROOT_DIR, 'devices.json');
+const DEVICES_SCHEMA_PATH = path.join(ROOT_DIR, 'devices.schema.json');
+
+// Function to normalize a device name so names and aliases can be compared for clashes
+function getDeviceKey(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+// Function to get every name a device can be referenced by: its name, then its aliases
+function getDeviceNames(device) {
+    return [device.name, ...device.aliases];
+}
+
+// Function to validate a parsed device registry
+// Returns [{ pointer, message }]: schema errors first, then clashing ids and names
+function validateDeviceRegistry(registry) {
+    const schema = JSON.parse(fs.readFileSync(DEVICES_SCHEMA_PATH, 'utf8'));
+    const errors = validateSchema(schema, registry);
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const ids = new Map();
+    const names = new Map();
+
+    registry.devices.forEach((device, index) => {
+        if (ids.has(device.id)) {
+            errors.push({ pointer: `/devices/${index}/id`, message: `Device id '${device.id}' is already used by '${ids.get(device.id)}'` });
+        } else {
+            ids.set(device.id, device.name);
+        }
+
+        // Names and aliases must not be ambiguous between devices, even when spelled slightly differently
+        const deviceNames = getDeviceNames(device);
+        deviceNames.forEach((name, nameIndex) => {
+            const key = getDeviceKey(name);
+            const pointer = nameIndex === 0 ? `/devices/${index}/name` : `/devices/${index}/aliases/${nameIndex - 1}`;
+            if (names.has(key) && names.get(key) !== device.id) {
+                errors.push({ pointer, message: `Device name '${name}' clashes with device '${names.get(key)}'` });
+            } else if (deviceNames.indexOf(name) !== nameIndex) {
+                errors.push({ pointer, message: `Device name '${name}' is listed more than once` });
+            } else {
+                names.set(key, device.id);
+            }
+        });
+
+        if (new Set(device.capabilities).size !== device.capabilities.length) {
+            errors.push({ pointer: `/devices/${index}/capabilities`, message: 'Capabilities must not be repeated' });
+        }
+    });
+
+    return errors;
+}
+
+// Function to get the capability names a device can declare, from devices.schema.json
+function loadKnownCapabilities() {
+    const schema = JSON.parse(fs.readFileSync(DEVICES_SCHEMA_PATH, 'utf8'));
+    return schema.definitions.device.properties.capabilities.items.enum;
+}
+
+// Function to parse a widthxheight screen size
+function parseScreenSize(screenSize) {
+    const [width, height] = screenSize.split('x').map(Number);
+    return { width, height };
+}
+
+// Function to check whether a device screen is at least as large as a widthxheight minimum
+function fitsScreenSize(device, minScreenSize) {
+    if (!device['screen-size']) {
+        return false;
+    }
+    const screen = parseScreenSize(device['screen-size']);
+    const minimum = parseScreenSize(minScreenSize);
+    return screen.width >= minimum.width && screen.height >= minimum.height;
+}
+
+let deviceRegistry = null;
+
+// Function to load devices.json (cached), throwing if it is invalid
+function loadDeviceRegistry() {
+    if (!deviceRegistry) {
+        const registry = JSON.parse(fs.readFileSync(DEVICES_PATH, 'utf8'));
+        const errors = validateDeviceRegistry(registry);
+        if (errors.length > 0) {
+            throw new Error(`Invalid devices.json: ${errors.map(formatSchemaError).join('; ')}`);
+        }
+        deviceRegistry = registry.devices;
+    }
+    return deviceRegistry;
+}
+
+// Function to find the device a supported-devices entry names, by name or alias
+function findDevice(name, devices) {
+    return devices.find(device => getDeviceNames(device).includes(name)) || null;
+}
+
+// Function to expand supported-devices into the matching devices
+// A string is an exact device name or alias or, failing that, a regular expression
+// tested against every name and alias. Returns null when the field is absent
+// (the app supports every device); throws if the regular expression is invalid
+function expandSupportedDevices(supportedDevices, devices) {
+    if (supportedDevices === undefined) {
+        return null;
+    }
+
+    if (Array.isArray(supportedDevices)) {
+        return devices.filter(device => getDeviceNames(device).some(name => supportedDevices.includes(name)));
+    }
+
+    const device = findDevice(supportedDevices, devices);
+    if (device) {
+        return [device];
+    }
+
+    const regex = new RegExp(supportedDevices);
+    return devices.filter(device => getDeviceNames(device).some(name => regex.test(name)));
+}
+
+// Function to get the devices an app or theme can be installed on
+// Themes match on supported-screen-size (of any of their variants). Apps must match
+// supported-devices (if given), have every capability in requires and a screen at least min-screen-size
+function getCompatibleDevices(app, devices) {
+    const screenSizes = getThemeScreenSizes(app);
+    if (screenSizes.length > 0) {
+        return devices.filter(device => screenSizes.includes(device['screen-size']));
+    }
+
+    let candidates;
+    try {
+        candidates = expandSupportedDevices(app['supported-devices'], devices) || devices;
+    } catch (error) {
+        return [];
+    }
+
+    const requires = app.requires || [];
+    const minScreenSize = app['min-screen-size'];
+    return candidates.filter(device =>
+        requires.every(capability => device.capabilities.includes(capability)) &&
+        (!minScreenSize || fitsScreenSize(device, minScreenSize))
+    );
+}
+
+module.exports = {
+    DEVICES_PATH,
+    DEVICES_SCHEMA_PATH,
+    getDeviceNames,
+    validateDeviceRegistry,
+    loadKnownCapabilities,
+    fitsScreenSize,
+    loadDeviceRegistry,
+    findDevice,
+    expandSupportedDevices,
+    getCompatibleDevices
+};
@@ -0,0 +1,120 @@
+const { hasVariants, getFileSets } = require('./theme-variants');
+
+// A files entry can name several files at once, relative to path like any other entry:
+//   "icons/"       - a directory: every file below it, in any subfolder
+//   "icons/*.gif"  - a glob: * matches within a folder name, ? matches one character
+//                    and ** matches any number of folders
+// Patterns are strings only; each file they match is installed under its path relative to path
+// ('*' and '?' are not allowed in FAT32 file names, so they never name a real file)
+
+// Function to check whether a files entry is a directory or glob pattern
+function isPatternEntry(file) {
+    return typeof file === 'string' && (file.endsWith('/') || /[*?]/.test(file));
+}
+
+// Function to escape the regular expression characters of a literal part of a pattern
+function escapeRegExp(text) {
+    return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// Function to turn a directory or glob pattern into a regular expression matching paths relative to path
+function patternToRegExp(pattern) {
+    const glob = pattern.replace(/^\/+/, '').replace(/\/$/, '/**');
+    let source = '';
+
+    for (let index = 0; index < glob.length; index++) {
+        if (glob.startsWith('**/', index)) {
+            source += '(?:[^/]+/)*';
+            index += 2;
+        } else if (glob.startsWith('**', index)) {
+            source += '.*';
+            index += 1;
+        } else if (glob[index] === '*') {
+            source += '[^/]*';
+        } else if (glob[index] === '?') {
+            source += '[^/]';
+        } else {
+            source += escapeRegExp(glob[index]);
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+// Function to expand the pattern entries of a file set against the files of its repository
+// repositoryFiles is a Set of paths from the repository root, as returned by getRepositoryFiles
+// Matches are listed in path order where the pattern was; entries are de-duplicated by destination,
+// keeping the first: a match installed to an already listed destination is skipped, as is a later
+// entry installed to where a pattern already put a file. Other entries are kept as they are,
+// malformed ones included (two entries with the same destination are left for the path checks)
+// Returns { files, sourceIndexes, patterns } where sourceIndexes[i] is the index in the original
+// files array of files[i], and patterns is [{ index, pattern, matches }] for every pattern entry
+function expandFileEntries(fileSet, repositoryFiles) {
+    const basePath = fileSet.path === '/' ? '' : fileSet.path.replace(/^\/+|\/+$/g, '');
+    const prefix = basePath ? `${basePath}/` : '';
+    const relativeFiles = Array.from(repositoryFiles)
+        .filter(repositoryPath => repositoryPath.startsWith(prefix))
+        .map(repositoryPath => repositoryPath.slice(prefix.length))
+        .sort();
+
+    const files = [];
+    const sourceIndexes = [];
+    const patterns = [];
+    const listed = new Set(); // Destinations of the files listed so far
+    const matched = new Set(); // Destinations of the files listed by a pattern
+
+    fileSet.files.forEach((file, index) => {
+        if (!isPatternEntry(file)) {
+            const destination = typeof file === 'string' ? file : file && file.destination;
+            const key = typeof destination === 'string' ? destination.replace(/^\/+/, '') : null;
+            if (key !== null && matched.has(key)) {
+                return;
+            }
+            files.push(file);
+            sourceIndexes.push(index);
+            if (key !== null) {
+                listed.add(key);
+            }
+            return;
+        }
+
+        const regex = patternToRegExp(file);
+        const matches = relativeFiles.filter(relativePath => regex.test(relativePath));
+        patterns.push({ index, pattern: file, matches });
+        for (const match of matches.filter(match => !listed.has(match))) {
+            // A matched file whose name would read as a pattern is listed as an object entry
+            files.push(isPatternEntry(match) ? { source: match, destination: match } : match);
+            sourceIndexes.push(index);
+            listed.add(match);
+            matched.add(match);
+        }
+    });
+
+    return { files, sourceIndexes, patterns };
+}
+
+// Function to get an app with the pattern entries of every files array (of every variant) replaced
+// by the files they match in repositoryFiles; file sets without a files array or path are kept
+function expandAppFiles(app, repositoryFiles) {
+    const expand = fileSet => Array.isArray(fileSet.files) && typeof fileSet.path === 'string'
+        ? { ...fileSet, files: expandFileEntries(fileSet, repositoryFiles).files }
+        : fileSet;
+
+    if (hasVariants(app)) {
+        return { ...app, variants: app.variants.map(variant => variant && typeof variant === 'object' ? expand(variant) : variant) };
+    }
+    return expand(app);
+}
+
+// Function to check whether an app has pattern entries in any of its files arrays (of any variant)
+function hasPatternEntries(app) {
+    return getFileSets(app).some(fileSet => Array.isArray(fileSet.files) && fileSet.files.some(isPatternEntry));
+}
+
+module.exports = {
+    isPatternEntry,
+    patternToRegExp,
+    expandFileEntries,
+    expandAppFiles,
+    hasPatternEntries
+};
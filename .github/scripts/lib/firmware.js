@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, compareVersions } = require('./catalog');
+
+// Bruce firmware release lines and the JS API level each one provides
+const FIRMWARE_VERSIONS_PATH = path.join(ROOT_DIR, 'firmware-versions.json');
+
+// Function to validate a parsed firmware-versions.json
+// Returns a list of problems as strings
+function validateFirmwareVersions(data) {
+    if (!data || !Array.isArray(data.versions) || data.versions.length === 0) {
+        return ['`versions` must be a non-empty array'];
+    }
+
+    const errors = [];
+    data.versions.forEach((entry, index) => {
+        if (!entry || typeof entry.version !== 'string' || !/^[0-9]+\.[0-9]+$/.test(entry.version)) {
+            errors.push(`versions[${index}]: \`version\` must be a release line in X.Y format`);
+            return;
+        }
+        if (!Number.isInteger(entry['js-api-level']) || entry['js-api-level'] < 1) {
+            errors.push(`versions[${index}]: \`js-api-level\` must be a positive integer`);
+            return;
+        }
+
+        // Release lines are listed oldest first and never lose API levels
+        const previous = data.versions[index - 1];
+        if (previous && typeof previous.version === 'string' && compareVersions(entry.version, previous.version) <= 0) {
+            errors.push(`versions[${index}]: ${entry.version} must be newer than ${previous.version}`);
+        }
+        if (previous && Number.isInteger(previous['js-api-level']) && entry['js-api-level'] < previous['js-api-level']) {
+            errors.push(`versions[${index}]: js-api-level ${entry['js-api-level']} is lower than ${previous['js-api-level']} of ${previous.version}`);
+        }
+    });
+
+    return errors;
+}
+
+let firmwareVersions = null;
+
+// Function to load firmware-versions.json (cached), throwing if it is invalid
+function loadFirmwareVersions() {
+    if (!firmwareVersions) {
+        const data = JSON.parse(fs.readFileSync(FIRMWARE_VERSIONS_PATH, 'utf8'));
+        const errors = validateFirmwareVersions(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid firmware-versions.json: ${errors.join('; ')}`);
+        }
+        firmwareVersions = data.versions;
+    }
+    return firmwareVersions;
+}
+
+// Function to find the release line of a firmware version: "1.10.2" belongs to "1.10"
+function findFirmwareRelease(version, versions = loadFirmwareVersions()) {
+    const releaseLine = version.split('.').slice(0, 2).join('.');
+    return versions.find(entry => compareVersions(entry.version, releaseLine) === 0) || null;
+}
+
+// Function to get the highest JS API level any listed firmware provides
+function getLatestApiLevel(versions = loadFirmwareVersions()) {
+    return versions[versions.length - 1]['js-api-level'];
+}
+
+// Function to get the oldest firmware release line that provides a JS API level
+function getFirmwareForApiLevel(apiLevel, versions = loadFirmwareVersions()) {
+    const entry = versions.find(candidate => candidate['js-api-level'] >= apiLevel);
+    return entry ? entry.version : null;
+}
+
+// Function to get the firmware requirements of an app from min-firmware and js-api-level
+// Either field implies the other; returns { minFirmware, apiLevel }, or null if neither is set
+function getFirmwareRequirements(app, versions = loadFirmwareVersions()) {
+    const declaredFirmware = app['min-firmware'];
+    const declaredApiLevel = app['js-api-level'];
+    if (declaredFirmware === undefined && declaredApiLevel === undefined) {
+        return null;
+    }
+
+    const release = declaredFirmware !== undefined ? findFirmwareRelease(declaredFirmware, versions) : null;
+    const apiLevel = declaredApiLevel !== undefined ? declaredApiLevel : (release ? release['js-api-level'] : null);
+    const minFirmware = declaredFirmware !== undefined ? declaredFirmware : getFirmwareForApiLevel(apiLevel, versions);
+
+    return { minFirmware, apiLevel };
+}
+
+module.exports = {
+    FIRMWARE_VERSIONS_PATH,
+    validateFirmwareVersions,
+    loadFirmwareVersions,
+    findFirmwareRelease,
+    getLatestApiLevel,
+    getFirmwareForApiLevel,
+    getFirmwareRequirements
+};
@@ -0,0 +1,164 @@
+// Base URL of the GitHub REST API, GITHUB_API_URL is set by Actions (and on GitHub Enterprise Server)
+// It can also point the scripts at a local mock of the endpoints
+const GITHUB_API_URL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+
+// Rate limiting for GitHub API calls
+const API_DELAY = 1000; // 1 second between API calls
+let lastApiCall = 0;
+
+// GitHub API helper with rate limiting and authentication
+async function githubApiCall(url, options = {}) {
+    // Ensure we don't exceed rate limits
+    const now = Date.now();
+    const timeSinceLastCall = now - lastApiCall;
+    if (timeSinceLastCall < API_DELAY) {
+        await new Promise(resolve => setTimeout(resolve, API_DELAY - timeSinceLastCall));
+    }
+    lastApiCall = Date.now();
+
+    const headers = {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'App-Store-Data-Validator/1.0',
+        ...options.headers
+    };
+
+    // Add authentication if available
+    const token = process.env.GITHUB_TOKEN;
+    if (token) {
+        headers['Authorization'] = `token ${token}`;
+    }
+
+    try {
+        const response = await fetch(url, {
+            ...options,
+            headers
+        });
+
+        // Handle rate limit headers
+        const remaining = response.headers.get('X-RateLimit-Remaining');
+        const resetTime = response.headers.get('X-RateLimit-Reset');
+
+        if (remaining && parseInt(remaining) < 10) {
+            console.warn(`⚠️  GitHub API rate limit low: ${remaining} calls remaining`);
+            if (resetTime) {
+                const resetDate = new Date(parseInt(resetTime) * 1000);
+                console.warn(`   Rate limit resets at: ${resetDate.toLocaleTimeString()}`);
+            }
+        }
+
+        return response;
+    } catch (error) {
+        console.warn(`⚠️  GitHub API error for ${url}: ${error.message}`);
+        throw error;
+    }
+}
+
+// Cache for commit verification results
+const commitVerificationCache = new Map();
+
+// Function to verify commit exists (cached)
+async function verifyCommitExists(owner, repo, commit) {
+    const cacheKey = `${owner}/${repo}@${commit}`;
+
+    if (commitVerificationCache.has(cacheKey)) {
+        return commitVerificationCache.get(cacheKey);
+    }
+
+    try {
+        const githubUrl = `${GITHUB_API_URL}/repos/${owner}/${repo}/commits/${commit}`;
+        const response = await githubApiCall(githubUrl);
+
+        const result = {
+            exists: response.status === 200,
+            status: response.status
+        };
+
+        commitVerificationCache.set(cacheKey, result);
+        return result;
+    } catch (error) {
+        const result = {
+            exists: false,
+            error: error.message
+        };
+        commitVerificationCache.set(cacheKey, result);
+        return result;
+    }
+}
+
+// Cache for commit verification results
+const gitTreesCache = new Map();
+
+// Function to get all files in a repository at a specific commit
+async function getRepositoryFiles(owner, repo, commit) {
+    const cacheKey = `${owner}/${repo}@${commit}`;
+
+    if (gitTreesCache.has(cacheKey)) {
+        return gitTreesCache.get(cacheKey);
+    }
+
+    try {
+        const treeUrl = `${GITHUB_API_URL}/repos/${owner}/${repo}/git/trees/${commit}?recursive=1`;
+        const response = await githubApiCall(treeUrl);
+
+        if (response.status === 200) {
+            const data = await response.json();
+            // Create a Set of file paths for fast lookup
+            const filePaths = new Set(
+                data.tree
+                    .filter(item => item.type === 'blob') // Only files, not directories
+                    .map(item => item.path)
+            );
+
+            gitTreesCache.set(cacheKey, filePaths);
+            return filePaths;
+        } else if (response.status === 404) {
+            console.warn(`⚠️  Repository or commit not found: ${owner}/${repo}@${commit}`);
+            return null;
+        } else {
+            console.warn(`⚠️  Could not fetch repository tree of ${owner}/${repo}@${commit} (status: ${response.status})`);
+            return null;
+        }
+    } catch (error) {
+        console.warn(`⚠️  Could not fetch repository tree of ${owner}/${repo}@${commit}: ${error.message}`);
+        return null;
+    }
+}
+
+// Cache for commit comparison results
+const compareCache = new Map();
+
+// Function to get the files changed between two commits of a repository (cached)
+// Returns [{ filename, previous_filename, status, additions, deletions, changes, patch }] or null
+async function compareCommits(owner, repo, base, head) {
+    const cacheKey = `${owner}/${repo}@${base}...${head}`;
+
+    if (compareCache.has(cacheKey)) {
+        return compareCache.get(cacheKey);
+    }
+
+    try {
+        const compareUrl = `${GITHUB_API_URL}/repos/${owner}/${repo}/compare/${base}...${head}`;
+        const response = await githubApiCall(compareUrl);
+
+        if (response.status === 200) {
+            const data = await response.json();
+            const files = data.files || [];
+            compareCache.set(cacheKey, files);
+            return files;
+        } else {
+            console.warn(`⚠️  Could not compare ${owner}/${repo}@${base}...${head} (status: ${response.status})`);
+            return null;
+        }
+    } catch (error) {
+        console.warn(`⚠️  Could not compare ${owner}/${repo}@${base}...${head}: ${error.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    GITHUB_API_URL,
+    githubApiCall,
+    verifyCommitExists,
+    getRepositoryFiles,
+    compareCommits
+};
@@ -0,0 +1,425 @@
+const zlib = require('zlib');
+
+// Signatures at the start of the image formats the store accepts
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const GIF_SIGNATURES = ['GIF87a', 'GIF89a'];
+
+// Function to read the size of a PNG from its IHDR chunk
+// Returns { format, width, height, frames } or null if the buffer is not a PNG
+function readPngInfo(buffer) {
+    if (buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE) || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+        return null;
+    }
+
+    const width = buffer.readUInt32BE(16);
+    const height = buffer.readUInt32BE(20);
+    return { format: 'png', width, height, frames: [{ left: 0, top: 0, width, height }] };
+}
+
+// PNG colour types with their name, channels per pixel and allowed bit depths
+const PNG_COLOUR_TYPES = {
+    0: { name: 'greyscale', channels: 1, bitDepths: [1, 2, 4, 8, 16] },
+    2: { name: 'RGB', channels: 3, bitDepths: [8, 16] },
+    3: { name: 'indexed', channels: 1, bitDepths: [1, 2, 4, 8] },
+    4: { name: 'greyscale + alpha', channels: 2, bitDepths: [8, 16] },
+    6: { name: 'RGBA', channels: 4, bitDepths: [8, 16] }
+};
+
+// Chunks that make a PNG an animated PNG
+const APNG_CHUNKS = ['acTL', 'fcTL', 'fdAT'];
+
+// Origin and size of each pass of an Adam7 interlaced image
+const ADAM7_PASSES = [
+    { x: 0, y: 0, dx: 8, dy: 8 },
+    { x: 4, y: 0, dx: 8, dy: 8 },
+    { x: 0, y: 4, dx: 4, dy: 8 },
+    { x: 2, y: 0, dx: 4, dy: 4 },
+    { x: 0, y: 2, dx: 2, dy: 4 },
+    { x: 1, y: 0, dx: 2, dy: 2 },
+    { x: 0, y: 1, dx: 1, dy: 2 }
+];
+
+// Largest width or height decoded, so a crafted IHDR cannot make the decoder allocate gigabytes
+const MAX_DECODE_DIMENSION = 4096;
+
+let crcTable = null;
+
+// Function to compute the CRC-32 of a PNG chunk's type and data
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+// Function to split a PNG into its chunks, checking the length and CRC of each
+// Throws an Error describing the first problem found
+function readPngChunks(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('not a PNG file (bad signature)');
+    }
+
+    const chunks = [];
+    let offset = 8;
+    while (offset < buffer.length) {
+        if (offset + 12 > buffer.length) {
+            throw new Error(`truncated chunk header at byte ${offset}`);
+        }
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        if (!/^[A-Za-z]{4}$/.test(type)) {
+            throw new Error(`invalid chunk type at byte ${offset}`);
+        }
+        if (offset + 12 + length > buffer.length) {
+            throw new Error(`\`${type}\` chunk is cut short (file is truncated)`);
+        }
+        const expectedCrc = buffer.readUInt32BE(offset + 8 + length);
+        if (crc32(buffer.subarray(offset + 4, offset + 8 + length)) !== expectedCrc) {
+            throw new Error(`\`${type}\` chunk has a bad CRC (file is corrupt)`);
+        }
+
+        chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === 'IEND') {
+            break;
+        }
+    }
+
+    return { chunks, trailingBytes: buffer.length - offset };
+}
+
+// Function to reverse the scanline filters of one (sub)image in place
+// Returns false if a scanline uses an unknown filter type
+function unfilterScanlines(data, offset, width, height, bytesPerPixel, bitsPerPixel) {
+    const stride = Math.ceil(width * bitsPerPixel / 8);
+    let previous = null;
+
+    for (let y = 0; y < height; y++) {
+        const filter = data[offset];
+        const line = data.subarray(offset + 1, offset + 1 + stride);
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bytesPerPixel ? line[x - bytesPerPixel] : 0;
+            const up = previous ? previous[x] : 0;
+            const upLeft = previous && x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+            if (filter === 1) {
+                line[x] += left;
+            } else if (filter === 2) {
+                line[x] += up;
+            } else if (filter === 3) {
+                line[x] += (left + up) >> 1;
+            } else if (filter === 4) {
+                const estimate = left + up - upLeft;
+                const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+                line[x] += distances[0] <= distances[1] && distances[0] <= distances[2] ? left : distances[1] <= distances[2] ? up : upLeft;
+            } else if (filter !== 0) {
+                return false;
+            }
+        }
+        previous = line;
+        offset += 1 + stride;
+    }
+
+    return true;
+}
+
+// Function to check whether decoded 8-bit alpha samples contain a pixel that is not opaque
+function hasTranslucentPixels(data, offset, width, height, bytesPerPixel) {
+    const stride = width * bytesPerPixel;
+    for (let y = 0; y < height; y++) {
+        const line = offset + y * (stride + 1) + 1;
+        for (let x = bytesPerPixel - 1; x < stride; x += bytesPerPixel) {
+            if (data[line + x] !== 255) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Function to parse a PNG and inflate and unfilter its image data
+// The image data is never inflated past the length its IHDR dimensions call for
+// Returns { info, data, images, palette, transparencyChunk } where images are the
+// (sub)images in data as [{ x, y, dx, dy, width, height, offset }]
+// Throws an Error describing why the file cannot be decoded
+function inflatePng(buffer) {
+    const { chunks, trailingBytes } = readPngChunks(buffer);
+
+    const header = chunks[0];
+    if (!header || header.type !== 'IHDR' || header.data.length !== 13) {
+        throw new Error('the first chunk must be a 13-byte `IHDR`');
+    }
+    if (chunks[chunks.length - 1].type !== 'IEND') {
+        throw new Error('missing `IEND` chunk (file is truncated)');
+    }
+
+    const width = header.data.readUInt32BE(0);
+    const height = header.data.readUInt32BE(4);
+    const [bitDepth, colourType, compression, filterMethod, interlace] = header.data.subarray(8, 13);
+    const colour = PNG_COLOUR_TYPES[colourType];
+    if (width === 0 || height === 0) {
+        throw new Error('image has no pixels');
+    }
+    if (width > MAX_DECODE_DIMENSION || height > MAX_DECODE_DIMENSION) {
+        throw new Error(`image is ${width}x${height}, larger than the ${MAX_DECODE_DIMENSION}x${MAX_DECODE_DIMENSION} that can be decoded`);
+    }
+    if (!colour || !colour.bitDepths.includes(bitDepth)) {
+        throw new Error(`invalid colour type ${colourType} with bit depth ${bitDepth}`);
+    }
+    if (compression !== 0 || filterMethod !== 0 || interlace > 1) {
+        throw new Error('unknown compression, filter or interlace method');
+    }
+
+    // Unknown critical chunks (upper-case first letter) cannot be skipped by a decoder
+    const knownCritical = ['IHDR', 'PLTE', 'IDAT', 'IEND'];
+    const unknownCritical = chunks.find(chunk => /^[A-Z]/.test(chunk.type) && !knownCritical.includes(chunk.type));
+    if (unknownCritical) {
+        throw new Error(`unknown critical chunk \`${unknownCritical.type}\``);
+    }
+
+    const palette = chunks.find(chunk => chunk.type === 'PLTE');
+    if (colourType === 3 && (!palette || palette.data.length % 3 !== 0 || palette.data.length / 3 > 2 ** bitDepth)) {
+        throw new Error('indexed image has a missing or invalid `PLTE` palette');
+    }
+
+    const dataIndexes = chunks.map((chunk, index) => chunk.type === 'IDAT' ? index : -1).filter(index => index !== -1);
+    if (dataIndexes.length === 0) {
+        throw new Error('no `IDAT` image data');
+    }
+    if (dataIndexes[dataIndexes.length - 1] - dataIndexes[0] !== dataIndexes.length - 1) {
+        throw new Error('`IDAT` chunks are not consecutive');
+    }
+
+    // Every (sub)image is a run of scanlines, each a filter byte followed by the packed samples
+    const bitsPerPixel = colour.channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const images = (interlace ? ADAM7_PASSES : [{ x: 0, y: 0, dx: 1, dy: 1 }]).map(pass => ({
+        ...pass,
+        width: Math.ceil((width - pass.x) / pass.dx),
+        height: Math.ceil((height - pass.y) / pass.dy)
+    })).filter(image => image.width > 0 && image.height > 0);
+    const expectedLength = images.reduce((total, image) => total + image.height * (1 + Math.ceil(image.width * bitsPerPixel / 8)), 0);
+
+    // Stop inflating at the expected length, so a small zlib bomb cannot exhaust memory
+    let data;
+    try {
+        data = zlib.inflateSync(Buffer.concat(dataIndexes.map(index => chunks[index].data)), { maxOutputLength: expectedLength });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`image data is larger than the ${expectedLength} bytes expected for ${width}x${height}`);
+        }
+        throw new Error(`image data does not decompress (${error.message})`);
+    }
+    if (data.length !== expectedLength) {
+        throw new Error(`image data is ${data.length} bytes, expected ${expectedLength} for ${width}x${height}`);
+    }
+
+    let offset = 0;
+    let translucent = false;
+    for (const image of images) {
+        image.offset = offset;
+        if (!unfilterScanlines(data, offset, image.width, image.height, bytesPerPixel, bitsPerPixel)) {
+            throw new Error('a scanline uses an unknown filter type');
+        }
+        if ((colourType === 4 || colourType === 6) && bitDepth === 8) {
+            translucent = translucent || hasTranslucentPixels(data, offset, image.width, image.height, bytesPerPixel);
+        } else if (colourType === 4 || colourType === 6) {
+            translucent = true; // 16-bit alpha is not inspected
+        }
+        offset += image.height * (1 + Math.ceil(image.width * bitsPerPixel / 8));
+    }
+
+    let transparency = 'none';
+    if (colourType === 4 || colourType === 6) {
+        transparency = translucent ? 'alpha' : 'opaque alpha';
+    } else if (chunks.some(chunk => chunk.type === 'tRNS')) {
+        transparency = 'tRNS';
+    }
+
+    const info = {
+        format: 'png',
+        width,
+        height,
+        bitDepth,
+        colourType,
+        colourTypeName: colour.name,
+        interlaced: interlace === 1,
+        animated: chunks.some(chunk => APNG_CHUNKS.includes(chunk.type)),
+        transparency,
+        chunks: chunks.map(chunk => chunk.type),
+        fileSize: buffer.length,
+        trailingBytes
+    };
+    const transparencyChunk = chunks.find(chunk => chunk.type === 'tRNS');
+    return { info, data, images, palette: palette ? palette.data : null, transparencyChunk: transparencyChunk ? transparencyChunk.data : null };
+}
+
+// Function to fully parse and decode a PNG: chunk stream, CRCs, zlib stream and scanline filters
+// Returns { format, width, height, bitDepth, colourType, colourTypeName, interlaced, animated,
+// transparency, chunks, fileSize, trailingBytes } where transparency is 'alpha' (translucent
+// pixels), 'opaque alpha' (alpha channel that is fully opaque), 'tRNS' or 'none'
+// Throws an Error describing why the file cannot be decoded
+function decodePng(buffer) {
+    return inflatePng(buffer).info;
+}
+
+// Function to decode a PNG into 8-bit RGBA pixels, whatever its colour type, bit depth and interlacing
+// Returns { width, height, pixels } where pixels holds 4 bytes per pixel, row by row
+// Throws an Error describing why the file cannot be decoded
+function decodePngPixels(buffer) {
+    const { info, data, images, palette, transparencyChunk } = inflatePng(buffer);
+    const { width, height, bitDepth, colourType } = info;
+    const channels = PNG_COLOUR_TYPES[colourType].channels;
+    const bitsPerPixel = channels * bitDepth;
+    const maxSample = 2 ** bitDepth - 1;
+    const pixels = Buffer.alloc(width * height * 4);
+
+    // Function to read the nth sample of a scanline at its original bit depth
+    const readSample = (line, index) => {
+        if (bitDepth === 16) {
+            return data.readUInt16BE(line + index * 2);
+        }
+        if (bitDepth === 8) {
+            return data[line + index];
+        }
+        const bit = index * bitDepth;
+        return (data[line + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    const to8Bit = sample => bitDepth === 16 ? sample >> 8 : Math.round(sample * 255 / maxSample);
+
+    for (const image of images) {
+        const stride = Math.ceil(image.width * bitsPerPixel / 8);
+        for (let row = 0; row < image.height; row++) {
+            const line = image.offset + row * (stride + 1) + 1;
+            for (let column = 0; column < image.width; column++) {
+                const samples = [];
+                for (let channel = 0; channel < channels; channel++) {
+                    samples.push(readSample(line, column * channels + channel));
+                }
+
+                let rgba;
+                if (colourType === 3) {
+                    const index = samples[0];
+                    const alpha = transparencyChunk && index < transparencyChunk.length ? transparencyChunk[index] : 255;
+                    rgba = [palette[index * 3] || 0, palette[index * 3 + 1] || 0, palette[index * 3 + 2] || 0, alpha];
+                } else if (colourType === 0 || colourType === 4) {
+                    const grey = to8Bit(samples[0]);
+                    const isTransparent = colourType === 0 && transparencyChunk && transparencyChunk.length >= 2 && transparencyChunk.readUInt16BE(0) === samples[0];
+                    rgba = [grey, grey, grey, colourType === 4 ? to8Bit(samples[1]) : isTransparent ? 0 : 255];
+                } else {
+                    const isTransparent = colourType === 2 && transparencyChunk && transparencyChunk.length >= 6 &&
+                        [0, 1, 2].every(channel => transparencyChunk.readUInt16BE(channel * 2) === samples[channel]);
+                    rgba = [to8Bit(samples[0]), to8Bit(samples[1]), to8Bit(samples[2]), colourType === 6 ? to8Bit(samples[3]) : isTransparent ? 0 : 255];
+                }
+
+                const x = image.x + column * image.dx;
+                const y = image.y + row * image.dy;
+                pixels.set(rgba, (y * width + x) * 4);
+            }
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+// Function to skip a run of GIF data sub-blocks, returning the offset after the terminator
+function skipGifSubBlocks(buffer, offset) {
+    while (offset < buffer.length && buffer[offset] !== 0) {
+        offset += buffer[offset] + 1;
+    }
+    return offset + 1;
+}
+
+// Function to read the logical screen and every frame of a GIF
+// Returns { format, width, height, frames } or null if the buffer is not a well-formed GIF
+function readGifInfo(buffer) {
+    if (buffer.length < 13 || !GIF_SIGNATURES.includes(buffer.toString('latin1', 0, 6))) {
+        return null;
+    }
+
+    const width = buffer.readUInt16LE(6);
+    const height = buffer.readUInt16LE(8);
+    const packed = buffer[10];
+    let offset = 13;
+    if (packed & 0x80) {
+        offset += 3 * (2 << (packed & 0x07)); // global colour table
+    }
+
+    const frames = [];
+    while (offset < buffer.length) {
+        const blockType = buffer[offset];
+        if (blockType === 0x3B) {
+            return { format: 'gif', width, height, frames };
+        }
+
+        if (blockType === 0x21) {
+            // Extension: label byte, then sub-blocks
+            offset = skipGifSubBlocks(buffer, offset + 2);
+        } else if (blockType === 0x2C && offset + 10 <= buffer.length) {
+            frames.push({
+                left: buffer.readUInt16LE(offset + 1),
+                top: buffer.readUInt16LE(offset + 3),
+                width: buffer.readUInt16LE(offset + 5),
+                height: buffer.readUInt16LE(offset + 7)
+            });
+            const framePacked = buffer[offset + 9];
+            offset += 10;
+            if (framePacked & 0x80) {
+                offset += 3 * (2 << (framePacked & 0x07)); // local colour table
+            }
+            offset = skipGifSubBlocks(buffer, offset + 1); // LZW minimum code size, then image data
+        } else {
+            return null;
+        }
+    }
+
+    // Missing trailer: the file was cut short
+    return null;
+}
+
+// Function to read the format, size and frames of a GIF or PNG image
+// Returns { format, width, height, frames: [{ left, top, width, height }] } or null
+function readImageInfo(buffer) {
+    return readPngInfo(buffer) || readGifInfo(buffer);
+}
+
+// Function to list the ways an image does not fit within width x height
+// Checks the image itself and every frame, so an animation cannot draw outside the screen
+function findOversizedFrames(info, maxWidth, maxHeight) {
+    const problems = [];
+
+    if (info.width > maxWidth || info.height > maxHeight) {
+        problems.push(`image is ${info.width}x${info.height}`);
+    }
+    info.frames.forEach((frame, index) => {
+        const isWholeImage = frame.left === 0 && frame.top === 0 && frame.width === info.width && frame.height === info.height;
+        if (!isWholeImage && (frame.left + frame.width > maxWidth || frame.top + frame.height > maxHeight)) {
+            problems.push(`frame ${index + 1} covers ${frame.left + frame.width}x${frame.top + frame.height}`);
+        }
+    });
+
+    return problems;
+}
+
+module.exports = {
+    PNG_SIGNATURE,
+    PNG_COLOUR_TYPES,
+    crc32,
+    readPngInfo,
+    decodePng,
+    decodePngPixels,
+    readGifInfo,
+    readImageInfo,
+    findOversizedFrames
+};
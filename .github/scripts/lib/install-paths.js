@@ -0,0 +1,52 @@
+const { isTheme, getFileSets } = require('./theme-variants');
+const { resolveFileEntry } = require('./sources');
+const { isPatternEntry } = require('./file-patterns');
+
+// Folders apps and themes are installed into on the device's storage
+const APPS_FOLDER = '/BruceJS';
+const THEMES_FOLDER = '/BruceThemes';
+
+// Function to get the folder an app or theme is installed into on the device
+// Apps share /BruceJS/<category>, each theme gets its own /BruceThemes/<theme name>
+function getInstallFolder(app) {
+    if (isTheme(app)) {
+        return `${THEMES_FOLDER}/${app.name}`;
+    }
+    return `${APPS_FOLDER}/${app.category}`;
+}
+
+// Function to get the on-device path a files entry destination is installed to
+function getInstallPath(app, destination) {
+    return `${getInstallFolder(app)}/${destination.replace(/^\/+/, '')}`;
+}
+
+// Function to get the on-device path of every file an app installs (every variant of a theme)
+// Directory and glob entries are left out until they are expanded, their files are not known
+// Returns [{ path, destination }] without duplicates
+function getInstallPaths(app) {
+    const paths = new Map();
+
+    for (const fileSet of getFileSets(app)) {
+        for (const file of (fileSet.files || []).filter(file => !isPatternEntry(file))) {
+            const { destination } = resolveFileEntry(fileSet, file);
+            const installPath = getInstallPath(app, destination);
+            paths.set(installPath, { path: installPath, destination });
+        }
+    }
+
+    return Array.from(paths.values());
+}
+
+// Function to get the key two install paths collide on: the SD card's FAT filesystem ignores case
+function getInstallPathKey(installPath) {
+    return installPath.toLowerCase();
+}
+
+module.exports = {
+    APPS_FOLDER,
+    THEMES_FOLDER,
+    getInstallFolder,
+    getInstallPath,
+    getInstallPaths,
+    getInstallPathKey
+};
@@ -0,0 +1,295 @@
+const vm = require('vm');
+
+// Modules built into the Bruce JS interpreter, loaded with require("<name>")
+const BRUCE_MODULES = [
+    'audio', 'badusb', 'ble', 'device', 'dialog', 'display', 'gpio', 'i2c',
+    'ir', 'keyboard', 'math', 'notification', 'serial', 'storage', 'subghz', 'wifi'
+];
+
+// Language features the on-device interpreter cannot run, keyed by the name reported to authors
+const UNSUPPORTED_FEATURES = {
+    'class': 'class declarations',
+    'async': 'async functions / await',
+    'generator': 'generator functions',
+    'module': 'ES modules (import / export)',
+    'optional-chaining': 'optional chaining (?.)',
+    'nullish-coalescing': 'nullish coalescing (??)',
+    'bigint': 'BigInt literals'
+};
+
+// Punctuators, longest first so the tokenizer always takes the longest match
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=',
+    '&=', '|=', '^=', '**', '<<', '>>',
+    '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^',
+    '!', '~', '?', ':', '=', '.', '@', '#'
+];
+
+// Keywords after which a slash starts a regular expression rather than a division
+const REGEX_PREFIX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+// Function to check the syntax of a script without running it
+// Returns null, or { message, line } for the first syntax error
+function checkSyntax(source, filename) {
+    try {
+        new vm.Script(source, { filename });
+        return null;
+    } catch (error) {
+        // The first stack line is "<filename>:<line>" for syntax errors
+        const location = String(error.stack).split('\n')[0].match(/:(\d+)$/);
+        return { message: error.message, line: location ? Number(location[1]) : null };
+    }
+}
+
+// Function to split a script into tokens: { type, value, line }
+// Comments and whitespace are dropped and string / template contents are kept as one token,
+// so require() calls and keywords inside them are never mistaken for code
+function tokenize(source) {
+    const tokens = [];
+    const templateDepths = []; // brace depth at each open ${ of a template literal
+    let braceDepth = 0;
+    let line = 1;
+    let index = 0;
+
+    const previous = () => tokens[tokens.length - 1];
+    const push = (type, value, startLine) => tokens.push({ type, value, line: startLine });
+
+    // Whether a slash at the current position starts a regular expression
+    function startsRegex() {
+        const token = previous();
+        if (!token) {
+            return true;
+        }
+        if (token.type === 'identifier') {
+            return REGEX_PREFIX_KEYWORDS.has(token.value);
+        }
+        if (token.type === 'punctuator') {
+            return ![')', ']', '}', '++', '--'].includes(token.value);
+        }
+        return false;
+    }
+
+    // Read a template literal chunk from the current position up to ` or ${
+    function readTemplate(startLine) {
+        let value = '';
+        while (index < source.length) {
+            const char = source[index];
+            if (char === '\\') {
+                value += source.substr(index, 2);
+                index += 2;
+                continue;
+            }
+            if (char === '`') {
+                index++;
+                push('template', value, startLine);
+                return;
+            }
+            if (char === '$' && source[index + 1] === '{') {
+                index += 2;
+                push('template', value, startLine);
+                templateDepths.push(braceDepth);
+                braceDepth++;
+                return;
+            }
+            if (char === '\n') {
+                line++;
+            }
+            value += char;
+            index++;
+        }
+        push('template', value, startLine);
+    }
+
+    // Match a sticky regular expression at the current position
+    const matchAt = pattern => {
+        pattern.lastIndex = index;
+        return pattern.exec(source)[0];
+    };
+
+    while (index < source.length) {
+        const char = source[index];
+
+        if (char === '\n') {
+            line++;
+            index++;
+        } else if (/\s/.test(char)) {
+            index++;
+        } else if (source.startsWith('//', index)) {
+            const end = source.indexOf('\n', index);
+            index = end === -1 ? source.length : end;
+        } else if (source.startsWith('/*', index)) {
+            const end = source.indexOf('*/', index + 2);
+            const comment = source.substring(index, end === -1 ? source.length : end + 2);
+            line += comment.split('\n').length - 1;
+            index += comment.length;
+        } else if (char === '"' || char === '\'') {
+            const startLine = line;
+            let value = '';
+            index++;
+            while (index < source.length && source[index] !== char && source[index] !== '\n') {
+                if (source[index] === '\\') {
+                    value += source[index + 1] || '';
+                    index += 2;
+                } else {
+                    value += source[index++];
+                }
+            }
+            index++;
+            push('string', value, startLine);
+        } else if (char === '`') {
+            index++;
+            readTemplate(line);
+        } else if (char === '}' && templateDepths.length > 0 && templateDepths[templateDepths.length - 1] === braceDepth - 1) {
+            // End of a ${ } substitution: continue reading the template literal
+            templateDepths.pop();
+            braceDepth--;
+            index++;
+            readTemplate(line);
+        } else if (char === '/' && startsRegex()) {
+            const startLine = line;
+            let inClass = false;
+            let value = '/';
+            index++;
+            while (index < source.length && source[index] !== '\n') {
+                const regexChar = source[index];
+                value += regexChar;
+                index++;
+                if (regexChar === '\\') {
+                    value += source[index++] || '';
+                } else if (regexChar === '[') {
+                    inClass = true;
+                } else if (regexChar === ']') {
+                    inClass = false;
+                } else if (regexChar === '/' && !inClass) {
+                    break;
+                }
+            }
+            const flags = matchAt(/[a-z]*/y);
+            index += flags.length;
+            push('regex', value + flags, startLine);
+        } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1] || ''))) {
+            const number = matchAt(/0[xXoObB][0-9a-fA-F_]+n?|[0-9_]*\.?[0-9_]*([eE][+-]?[0-9_]+)?n?/y);
+            push('number', number, line);
+            index += number.length;
+        } else if (/[A-Za-z_$\u0080-\uffff]/.test(char)) {
+            const identifier = matchAt(/[A-Za-z0-9_$\u0080-\uffff]+/y);
+            push('identifier', identifier, line);
+            index += identifier.length;
+        } else {
+            let punctuator = PUNCTUATORS.find(candidate => source.startsWith(candidate, index)) || char;
+            if (punctuator === '?.' && /[0-9]/.test(source[index + 2] || '')) {
+                punctuator = '?'; // a ? .5 : b is a conditional, not optional chaining
+            }
+            if (punctuator === '{') {
+                braceDepth++;
+            } else if (punctuator === '}') {
+                braceDepth--;
+            }
+            push('punctuator', punctuator, line);
+            index += punctuator.length;
+        }
+    }
+
+    return tokens;
+}
+
+// Function to find the require() calls of a tokenized script
+// Returns { modules: [name], dynamic: [line] } where dynamic lists require() calls without a string literal
+function findRequires(tokens) {
+    const modules = new Set();
+    const dynamic = [];
+
+    tokens.forEach((token, index) => {
+        const before = tokens[index - 1];
+        if (token.type !== 'identifier' || token.value !== 'require' || (before && before.value === '.')) {
+            return;
+        }
+        if (!tokens[index + 1] || tokens[index + 1].value !== '(') {
+            return;
+        }
+
+        const argument = tokens[index + 2];
+        const closing = tokens[index + 3];
+        if (argument && argument.type === 'string' && closing && closing.value === ')') {
+            modules.add(argument.value);
+        } else {
+            dynamic.push(token.line);
+        }
+    });
+
+    return { modules: Array.from(modules).sort(), dynamic };
+}
+
+// Function to find uses of language features the on-device interpreter does not support
+// Returns [{ feature, description, line }], one entry per feature at its first use
+function findUnsupportedFeatures(tokens) {
+    const found = new Map();
+    const report = (feature, line) => {
+        if (!found.has(feature)) {
+            found.set(feature, { feature, description: UNSUPPORTED_FEATURES[feature], line });
+        }
+    };
+
+    tokens.forEach((token, index) => {
+        const before = tokens[index - 1];
+        const after = tokens[index + 1];
+        const isProperty = before && (before.value === '.' || before.value === '?.');
+
+        if (token.type === 'identifier' && !isProperty && !(after && after.value === ':')) {
+            if (token.value === 'class' && after && (after.type === 'identifier' || after.value === '{')) {
+                report('class', token.line);
+            } else if (token.value === 'async' && after && after.line === token.line &&
+                (after.value === 'function' || after.value === '(' || after.type === 'identifier')) {
+                report('async', token.line);
+            } else if (token.value === 'await' && after && (after.type !== 'punctuator' || after.value === '(')) {
+                report('async', token.line);
+            } else if ((token.value === 'import' && !(after && after.value === '(')) || token.value === 'export') {
+                report('module', token.line);
+            } else if (token.value === 'function' && after && after.value === '*') {
+                report('generator', token.line);
+            }
+        } else if (token.type === 'punctuator' && token.value === '?.') {
+            report('optional-chaining', token.line);
+        } else if (token.type === 'punctuator' && (token.value === '??' || token.value === '??=')) {
+            report('nullish-coalescing', token.line);
+        } else if (token.type === 'number' && token.value.endsWith('n')) {
+            report('bigint', token.line);
+        }
+    });
+
+    return Array.from(found.values()).sort((a, b) => a.line - b.line);
+}
+
+// Function to analyze a Bruce JS script
+// Returns { syntaxError, modules, unknownModules, dynamicRequires, unsupportedFeatures }
+// syntaxError is null or { message, line }; the other checks still run on a best-effort basis
+function analyzeScript(source, filename = 'script.js') {
+    const syntaxError = checkSyntax(source, filename);
+    const tokens = tokenize(source);
+    const { modules, dynamic } = findRequires(tokens);
+
+    return {
+        syntaxError,
+        modules,
+        unknownModules: modules.filter(name => !BRUCE_MODULES.includes(name)),
+        dynamicRequires: dynamic,
+        unsupportedFeatures: findUnsupportedFeatures(tokens)
+    };
+}
+
+// Function to check whether a repository path is a script the analyzer understands
+function isScriptFile(filePath) {
+    return /\.js$/i.test(filePath);
+}
+
+module.exports = {
+    BRUCE_MODULES,
+    UNSUPPORTED_FEATURES,
+    checkSyntax,
+    tokenize,
+    findRequires,
+    findUnsupportedFeatures,
+    analyzeScript,
+    isScriptFile
+};
@@ -0,0 +1,200 @@
+// Minimal JSON Schema (draft-07) evaluator.
+//
+// The scripts in this repository run without installing any packages, so this
+// implements the subset of keywords used by the schemas we publish:
+// type, enum, const, required, properties, additionalProperties, items,
+// minimum, minItems, minLength, pattern, allOf, anyOf, oneOf, not,
+// if/then/else and local $ref. Schemas may also carry an `errorMessage` (as
+// understood by ajv-errors): a string replaces any errors raised inside that
+// schema, while an object maps keywords (or, for `required`, field names) to
+// custom messages.
+//
+// Errors are returned as { pointer, keyword, message } where `pointer` is the
+// JSON pointer (RFC 6901) of the offending value in the instance.
+
+// Function to escape a property name for use in a JSON pointer
+function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Function to append a property name or array index to a JSON pointer
+function joinPointer(pointer, segment) {
+    return `${pointer}/${escapePointerSegment(segment)}`;
+}
+
+// Function to get the JSON type name of a value
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Function to check a value against a JSON Schema type name
+function matchesType(value, type) {
+    const actualType = getJsonType(value);
+    if (type === 'number') {
+        return actualType === 'number' || actualType === 'integer';
+    }
+    return actualType === type;
+}
+
+// Function to resolve a local "#/..." reference against the root schema
+function resolveRef(rootSchema, ref) {
+    if (!ref.startsWith('#')) {
+        throw new Error(`Only local schema references are supported: ${ref}`);
+    }
+
+    const segments = ref.slice(1).split('/').filter(Boolean)
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    let schema = rootSchema;
+    for (const segment of segments) {
+        if (schema === undefined || schema === null) break;
+        schema = schema[segment];
+    }
+
+    if (schema === undefined) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return schema;
+}
+
+// Function to pick the custom message for a keyword raised directly by a schema
+function customMessage(schema, keyword, field) {
+    const errorMessage = schema.errorMessage;
+    if (!errorMessage || typeof errorMessage !== 'object') return null;
+
+    const message = errorMessage[keyword];
+    if (message && typeof message === 'object') {
+        return message[field] || null;
+    }
+    return message || null;
+}
+
+// Function to evaluate an instance against a schema and collect errors
+function evaluate(schema, instance, pointer, rootSchema) {
+    if (schema === true) return [];
+    if (schema === false) {
+        return [{ pointer, keyword: 'false schema', message: 'Value is not allowed' }];
+    }
+
+    if (schema.$ref) {
+        return evaluate(resolveRef(rootSchema, schema.$ref), instance, pointer, rootSchema);
+    }
+
+    const errors = [];
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(instance, type))) {
+            errors.push({ pointer, keyword: 'type', message: customMessage(schema, 'type') || `Must be of type ${types.join(' or ')}` });
+        }
+    }
+
+    if (schema.enum !== undefined && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(instance))) {
+        errors.push({ pointer, keyword: 'enum', message: `Must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(instance)) {
+        errors.push({ pointer, keyword: 'const', message: `Must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (typeof instance === 'string') {
+        if (schema.minLength !== undefined && instance.length < schema.minLength) {
+            errors.push({
+                pointer,
+                keyword: 'minLength',
+                message: customMessage(schema, 'minLength') ||
+                    (schema.minLength === 1 ? 'Must not be empty' : `Must be at least ${schema.minLength} characters`)
+            });
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(instance)) {
+            errors.push({ pointer, keyword: 'pattern', message: customMessage(schema, 'pattern') || `Must match pattern ${schema.pattern}` });
+        }
+    }
+
+    if (typeof instance === 'number') {
+        if (schema.minimum !== undefined && instance < schema.minimum) {
+            errors.push({ pointer, keyword: 'minimum', message: customMessage(schema, 'minimum') || `Must be at least ${schema.minimum}` });
+        }
+    }
+
+    if (Array.isArray(instance)) {
+        if (schema.minItems !== undefined && instance.length < schema.minItems) {
+            errors.push({ pointer, keyword: 'minItems', message: customMessage(schema, 'minItems') || `Must contain at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items !== undefined) {
+            instance.forEach((item, index) => {
+                errors.push(...evaluate(schema.items, item, joinPointer(pointer, index), rootSchema));
+            });
+        }
+    }
+
+    if (getJsonType(instance) === 'object') {
+        for (const field of schema.required || []) {
+            if (!(field in instance)) {
+                errors.push({ pointer: joinPointer(pointer, field), keyword: 'required', message: customMessage(schema, 'required', field) || `Missing required field: \`${field}\`` });
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [field, value] of Object.entries(instance)) {
+            if (field in properties) {
+                errors.push(...evaluate(properties[field], value, joinPointer(pointer, field), rootSchema));
+            } else if (schema.additionalProperties !== undefined) {
+                errors.push(...evaluate(schema.additionalProperties, value, joinPointer(pointer, field), rootSchema));
+            }
+        }
+    }
+
+    for (const subschema of schema.allOf || []) {
+        errors.push(...evaluate(subschema, instance, pointer, rootSchema));
+    }
+
+    if (schema.anyOf !== undefined) {
+        const results = schema.anyOf.map(subschema => evaluate(subschema, instance, pointer, rootSchema));
+        if (!results.some(result => result.length === 0)) {
+            errors.push({ pointer, keyword: 'anyOf', message: 'Must match at least one of the allowed formats' });
+        }
+    }
+
+    if (schema.oneOf !== undefined) {
+        const matches = schema.oneOf.filter(subschema => evaluate(subschema, instance, pointer, rootSchema).length === 0);
+        if (matches.length !== 1) {
+            errors.push({
+                pointer,
+                keyword: 'oneOf',
+                message: matches.length === 0 ? 'Must match one of the allowed formats' : 'Matches more than one of the allowed formats'
+            });
+        }
+    }
+
+    if (schema.not !== undefined && evaluate(schema.not, instance, pointer, rootSchema).length === 0) {
+        errors.push({ pointer, keyword: 'not', message: customMessage(schema, 'not') || 'Value is not allowed' });
+    }
+
+    if (schema.if !== undefined) {
+        const conditionHolds = evaluate(schema.if, instance, pointer, rootSchema).length === 0;
+        const branch = conditionHolds ? schema.then : schema.else;
+        if (branch !== undefined) {
+            errors.push(...evaluate(branch, instance, pointer, rootSchema));
+        }
+    }
+
+    if (errors.length > 0 && typeof schema.errorMessage === 'string') {
+        return [{ pointer, keyword: 'errorMessage', message: schema.errorMessage }];
+    }
+
+    return errors;
+}
+
+// Function to validate an instance against a root schema
+function validateSchema(schema, instance) {
+    return evaluate(schema, instance, '', schema);
+}
+
+module.exports = {
+    validateSchema,
+    joinPointer
+};
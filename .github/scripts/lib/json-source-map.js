@@ -0,0 +1,196 @@
+// Positions are 1-based lines and columns, as shown by editors and used by SARIF and GitHub annotations
+// Columns count UTF-16 code units, so a tab or an emoji counts as one column
+
+// Error thrown for invalid JSON, with the position of the offending character
+class JsonSyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} at line ${position.line} column ${position.column}`);
+        this.name = 'JsonSyntaxError';
+        this.reason = message;
+        this.line = position.line;
+        this.column = position.column;
+    }
+}
+
+// Function to escape a property name for use in a JSON pointer
+function escapePointerToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Function to parse JSON source and record where every value starts and ends
+// Returns { data, pointers } where pointers maps each JSON pointer ('' for the document,
+// '/files/0' for the first file) to { key?, value, valueEnd } positions
+// Throws a JsonSyntaxError for invalid JSON
+function parseJsonWithPointers(source) {
+    const pointers = new Map();
+    let index = 0;
+    let line = 1;
+    let column = 1;
+
+    const position = () => ({ line, column });
+    const fail = message => {
+        throw new JsonSyntaxError(message, position());
+    };
+    const describe = () => index < source.length ? `Unexpected character ${JSON.stringify(source[index])}` : 'Unexpected end of JSON';
+
+    // Function to move past count characters, keeping track of lines
+    const advance = (count = 1) => {
+        for (let step = 0; step < count; step++) {
+            if (source[index] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            index++;
+        }
+    };
+
+    const skipWhitespace = () => {
+        while (index < source.length && ' \t\n\r'.includes(source[index])) {
+            advance();
+        }
+    };
+
+    const expect = character => {
+        if (source[index] !== character) {
+            fail(`${describe()}, expected ${JSON.stringify(character)}`);
+        }
+        advance();
+    };
+
+    const parseString = () => {
+        const start = index;
+        expect('"');
+        while (index < source.length && source[index] !== '"') {
+            if (source[index] === '\\') {
+                advance();
+                if (source[index] === 'u') {
+                    if (!/^[0-9a-fA-F]{4}$/.test(source.slice(index + 1, index + 5))) {
+                        fail('Invalid unicode escape in string');
+                    }
+                    advance(5);
+                    continue;
+                }
+                if (!'"\\/bfnrt'.includes(source[index])) {
+                    fail('Invalid escape in string');
+                }
+            } else if (source.charCodeAt(index) < 0x20) {
+                fail('Control character in string');
+            }
+            advance();
+        }
+        expect('"');
+        return JSON.parse(source.slice(start, index));
+    };
+
+    const parseNumber = () => {
+        const match = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/.exec(source.slice(index));
+        if (!match) {
+            fail(describe());
+        }
+        advance(match[0].length);
+        return Number(match[0]);
+    };
+
+    const parseLiteral = () => {
+        for (const [text, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (source.startsWith(text, index)) {
+                advance(text.length);
+                return value;
+            }
+        }
+        return fail(describe());
+    };
+
+    const parseValue = (pointer, key) => {
+        skipWhitespace();
+        const entry = key ? { key, value: position() } : { value: position() };
+        pointers.set(pointer, entry);
+
+        let value;
+        const character = source[index];
+        if (character === '{') {
+            value = {};
+            advance();
+            skipWhitespace();
+            if (source[index] === '}') {
+                advance();
+            } else {
+                for (;;) {
+                    skipWhitespace();
+                    const keyPosition = position();
+                    const name = parseString();
+                    skipWhitespace();
+                    expect(':');
+                    value[name] = parseValue(`${pointer}/${escapePointerToken(name)}`, keyPosition);
+                    skipWhitespace();
+                    if (source[index] === ',') {
+                        advance();
+                    } else {
+                        expect('}');
+                        break;
+                    }
+                }
+            }
+        } else if (character === '[') {
+            value = [];
+            advance();
+            skipWhitespace();
+            if (source[index] === ']') {
+                advance();
+            } else {
+                for (;;) {
+                    value.push(parseValue(`${pointer}/${value.length}`));
+                    skipWhitespace();
+                    if (source[index] === ',') {
+                        advance();
+                    } else {
+                        expect(']');
+                        break;
+                    }
+                }
+            }
+        } else if (character === '"') {
+            value = parseString();
+        } else if (character === '-' || (character >= '0' && character <= '9')) {
+            value = parseNumber();
+        } else {
+            value = parseLiteral();
+        }
+
+        entry.valueEnd = position();
+        return value;
+    };
+
+    const data = parseValue('');
+    skipWhitespace();
+    if (index < source.length) {
+        fail(describe());
+    }
+
+    return { data, pointers };
+}
+
+// Function to find the source range of a JSON pointer, falling back to its closest parent that exists
+// Properties are located from their key to the end of their value
+// Returns { line, column, endLine, endColumn } or null
+function findPointerRange(pointers, pointer) {
+    let current = pointer ? `/${pointer.replace(/^\//, '')}` : '';
+    while (!pointers.has(current)) {
+        if (current === '') {
+            return null;
+        }
+        current = current.slice(0, current.lastIndexOf('/'));
+    }
+
+    const { key, value, valueEnd } = pointers.get(current);
+    const start = key || value;
+    return { line: start.line, column: start.column, endLine: valueEnd.line, endColumn: valueEnd.column };
+}
+
+module.exports = {
+    JsonSyntaxError,
+    parseJsonWithPointers,
+    findPointerRange
+};
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { ROOT_DIR } = require('./catalog');
+const { PNG_SIGNATURE, crc32, decodePngPixels } = require('./images');
+
+// Pre-scaled logos published in releases/logos/ for every app, keyed by the name
+// used in the category files. Raw formats have no header, their size is in the name:
+//   png    - RGBA PNG, transparency kept
+//   rgb565 - 16-bit RGB565 pixels, little-endian, row by row
+//   mono   - 1 bit per pixel, most significant bit first, rows padded to whole bytes, 1 = lit
+const LOGO_DERIVATIVES = [
+    { name: '64.png', size: 64, format: 'png' },
+    { name: '32.png', size: 32, format: 'png' },
+    { name: '64.rgb565', size: 64, format: 'rgb565' },
+    { name: '32.rgb565', size: 32, format: 'rgb565' },
+    { name: '64.mono', size: 64, format: 'mono' },
+    { name: '32.mono', size: 32, format: 'mono' }
+];
+
+// Folder inside releases/ holding the logo derivatives
+const LOGOS_DIR = 'logos';
+
+// Function to scale RGBA pixels to width x height by averaging the source pixels each target pixel covers
+// Colours are weighted by alpha so transparent pixels do not darken the edges
+function scalePixels(image, width, height) {
+    const pixels = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        const top = Math.floor(y * image.height / height);
+        const bottom = Math.max(top + 1, Math.floor((y + 1) * image.height / height));
+        for (let x = 0; x < width; x++) {
+            const left = Math.floor(x * image.width / width);
+            const right = Math.max(left + 1, Math.floor((x + 1) * image.width / width));
+
+            const sums = [0, 0, 0, 0];
+            for (let sourceY = top; sourceY < bottom; sourceY++) {
+                for (let sourceX = left; sourceX < right; sourceX++) {
+                    const offset = (sourceY * image.width + sourceX) * 4;
+                    const alpha = image.pixels[offset + 3];
+                    sums[0] += image.pixels[offset] * alpha;
+                    sums[1] += image.pixels[offset + 1] * alpha;
+                    sums[2] += image.pixels[offset + 2] * alpha;
+                    sums[3] += alpha;
+                }
+            }
+
+            const count = (bottom - top) * (right - left);
+            const offset = (y * width + x) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                pixels[offset + channel] = sums[3] > 0 ? Math.round(sums[channel] / sums[3]) : 0;
+            }
+            pixels[offset + 3] = Math.round(sums[3] / count);
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+// Function to get the colour of a pixel drawn over the black screen background
+function compositeOnBlack(pixels, offset) {
+    const alpha = pixels[offset + 3];
+    return [0, 1, 2].map(channel => Math.round(pixels[offset + channel] * alpha / 255));
+}
+
+// Function to build a PNG chunk with its length and CRC
+function createPngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+// Function to encode RGBA pixels as an 8-bit RGBA PNG (no filtering, so the output only depends on zlib)
+function encodePng(image) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    const stride = image.width * 4;
+    const scanlines = Buffer.alloc(image.height * (stride + 1));
+    for (let y = 0; y < image.height; y++) {
+        image.pixels.copy(scanlines, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        createPngChunk('IHDR', header),
+        createPngChunk('IDAT', zlib.deflateSync(scanlines, { level: 9 })),
+        createPngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Function to encode RGBA pixels as little-endian RGB565, drawn over black
+function encodeRgb565(image) {
+    const output = Buffer.alloc(image.width * image.height * 2);
+    for (let index = 0; index < image.width * image.height; index++) {
+        const [red, green, blue] = compositeOnBlack(image.pixels, index * 4);
+        output.writeUInt16LE(((red >> 3) << 11) | ((green >> 2) << 5) | (blue >> 3), index * 2);
+    }
+    return output;
+}
+
+// Function to encode RGBA pixels as a 1-bit bitmap: pixels brighter than mid-grey over black are lit
+function encodeMonochrome(image) {
+    const stride = Math.ceil(image.width / 8);
+    const output = Buffer.alloc(stride * image.height);
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            const [red, green, blue] = compositeOnBlack(image.pixels, (y * image.width + x) * 4);
+            if (0.299 * red + 0.587 * green + 0.114 * blue >= 128) {
+                output[y * stride + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+    return output;
+}
+
+const ENCODERS = {
+    png: encodePng,
+    rgb565: encodeRgb565,
+    mono: encodeMonochrome
+};
+
+// Function to build the derivatives of a logo.png
+// Returns [{ name, fileName, content, size, sha256 }], or throws if the logo cannot be decoded
+function buildLogoDerivatives(buffer) {
+    const image = decodePngPixels(buffer);
+    const scaled = new Map();
+
+    return LOGO_DERIVATIVES.map(derivative => {
+        if (!scaled.has(derivative.size)) {
+            scaled.set(derivative.size, scalePixels(image, derivative.size, derivative.size));
+        }
+        const content = ENCODERS[derivative.format](scaled.get(derivative.size));
+        const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+        const extension = path.extname(derivative.name);
+
+        // Named after their hash, so apps sharing a logo share the files
+        return {
+            name: derivative.name,
+            fileName: `${LOGOS_DIR}/${derivative.size}/${sha256}${extension}`,
+            content,
+            size: content.length,
+            sha256
+        };
+    });
+}
+
+// Function to build the logo derivatives of every catalog app and record them on the app
+// as logos: { <name>: { path, size, sha256 } }. Apps without a readable logo.png get no logos
+// Returns { files: Map of release file name to content, failed: [{ slug, reason }] }
+function addLogoDerivatives(catalog, rootDir = ROOT_DIR) {
+    const files = new Map();
+    const failed = [];
+
+    for (const app of catalog.apps) {
+        const logoPath = path.join(rootDir, path.dirname(app.metadataPath), 'logo.png');
+        if (!fs.existsSync(logoPath)) {
+            failed.push({ slug: app.slug, reason: 'no logo.png' });
+            continue;
+        }
+
+        let derivatives;
+        try {
+            derivatives = buildLogoDerivatives(fs.readFileSync(logoPath));
+        } catch (error) {
+            failed.push({ slug: app.slug, reason: error.message });
+            continue;
+        }
+
+        app.logos = {};
+        for (const { name, fileName, content, size, sha256 } of derivatives) {
+            files.set(fileName, content);
+            app.logos[name] = { path: fileName, size, sha256 };
+        }
+    }
+
+    return { files, failed };
+}
+
+module.exports = {
+    LOGO_DERIVATIVES,
+    LOGOS_DIR,
+    scalePixels,
+    encodePng,
+    buildLogoDerivatives,
+    addLogoDerivatives
+};
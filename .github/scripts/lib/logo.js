@@ -0,0 +1,89 @@
+const fs = require('fs');
+const { decodePng, readPngInfo } = require('./images');
+
+// What a logo.png must look like to be shown by the App Store app
+// The device decodes logos with a small PNG decoder: 8-bit samples at most,
+// no interlacing and no animation, and the whole file is read into memory
+const LOGO_REQUIREMENTS = {
+    width: 128,
+    height: 128,
+    maxFileSize: 64 * 1024,
+    maxBitDepth: 8,
+    allowInterlaced: false,
+    allowAnimated: false
+};
+
+// Function to format a byte count for the PR comment
+function formatFileSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+// Function to describe a decoded logo, e.g. "128x128 RGBA, 8-bit, 12.3 KB, transparent"
+function describeLogo(info) {
+    const details = [
+        `${info.width}x${info.height} ${info.colourTypeName}`,
+        `${info.bitDepth}-bit`,
+        formatFileSize(info.fileSize)
+    ];
+    if (info.interlaced) {
+        details.push('interlaced');
+    }
+    if (info.animated) {
+        details.push('animated');
+    }
+    if (info.transparency === 'alpha' || info.transparency === 'tRNS') {
+        details.push('transparent');
+    }
+    return details.join(', ');
+}
+
+// Function to decode a logo.png and check it against the logo requirements
+// The file size and the IHDR dimensions are checked before the image data is inflated
+// Returns { valid, info, errors, warnings } where info is the decoded PNG (null if it does not decode)
+function checkLogo(filePath, requirements = LOGO_REQUIREMENTS) {
+    const errors = [];
+    const warnings = [];
+
+    if (!fs.existsSync(filePath)) {
+        return { valid: false, info: null, errors: ['`logo.png` not found'], warnings };
+    }
+
+    const fileSize = fs.statSync(filePath).size;
+    if (fileSize > requirements.maxFileSize) {
+        return { valid: false, info: null, errors: [`Logo is ${formatFileSize(fileSize)}, the limit is ${formatFileSize(requirements.maxFileSize)}: reduce colours or strip metadata`], warnings };
+    }
+
+    const buffer = fs.readFileSync(filePath);
+    const header = readPngInfo(buffer);
+    if (header && (header.width !== requirements.width || header.height !== requirements.height)) {
+        return { valid: false, info: null, errors: [`Logo must be exactly ${requirements.width}x${requirements.height} pixels: found ${header.width}x${header.height}`], warnings };
+    }
+
+    let info;
+    try {
+        info = decodePng(buffer);
+    } catch (error) {
+        return { valid: false, info: null, errors: [`Not a valid PNG: ${error.message}`], warnings };
+    }
+
+    if (info.bitDepth > requirements.maxBitDepth) {
+        errors.push(`Logo uses ${info.bitDepth}-bit samples, the device decoder supports up to ${requirements.maxBitDepth}-bit: save it as ${requirements.maxBitDepth}-bit`);
+    }
+    if (info.interlaced && !requirements.allowInterlaced) {
+        errors.push('Logo is interlaced (Adam7), which the device decoder does not support: save it without interlacing');
+    }
+    if (info.animated && !requirements.allowAnimated) {
+        errors.push('Logo is an animated PNG (APNG): use a still image');
+    }
+    if (info.trailingBytes > 0) {
+        warnings.push(`${info.trailingBytes} byte(s) of data after the end of the PNG are ignored`);
+    }
+
+    return { valid: errors.length === 0, info, errors, warnings };
+}
+
+module.exports = {
+    LOGO_REQUIREMENTS,
+    describeLogo,
+    checkLogo
+};
@@ -0,0 +1,35 @@
+// Function to make text from a submitted repository safe in a markdown table cell
+function escapeTableCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\r?\n|\r/g, ' ');
+}
+
+// Function to make text from a submitted repository safe inside HTML tags of the PR comment
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Function to get the length of the longest run of backticks in a text
+function getLongestBacktickRun(text) {
+    return Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+}
+
+// Function to show text as inline code, with a delimiter no backtick in the text can close
+function formatInlineCode(text) {
+    const value = String(text).replace(/\r?\n|\r/g, ' ');
+    const delimiter = '`'.repeat(getLongestBacktickRun(value) + 1);
+    const padding = value.startsWith('`') || value.endsWith('`') ? ' ' : '';
+    return `${delimiter}${padding}${value}${padding}${delimiter}`;
+}
+
+// Function to show text as a fenced code block, with a fence longer than any backtick run in the text
+function formatCodeBlock(text, language = '') {
+    const fence = '`'.repeat(Math.max(3, getLongestBacktickRun(text) + 1));
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+module.exports = {
+    escapeTableCell,
+    escapeHtml,
+    formatInlineCode,
+    formatCodeBlock
+};
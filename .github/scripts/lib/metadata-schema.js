@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./json-schema');
+
+// Location of the published metadata.json schema
+const METADATA_SCHEMA_PATH = path.join(__dirname, '..', '..', '..', 'metadata.schema.json');
+
+let metadataSchema = null;
+
+// Function to load metadata.schema.json (cached)
+function loadMetadataSchema() {
+    if (!metadataSchema) {
+        metadataSchema = JSON.parse(fs.readFileSync(METADATA_SCHEMA_PATH, 'utf8'));
+    }
+    return metadataSchema;
+}
+
+// Function to validate parsed metadata against metadata.schema.json
+function validateMetadataSchema(metadata) {
+    return validateSchema(loadMetadataSchema(), metadata);
+}
+
+// Function to format a schema error for console output
+function formatSchemaError(error) {
+    return `${error.message} (at \`${error.pointer || '/'}\`)`;
+}
+
+module.exports = {
+    METADATA_SCHEMA_PATH,
+    loadMetadataSchema,
+    validateMetadataSchema,
+    formatSchemaError
+};
@@ -0,0 +1,149 @@
+const { getFileSets, hasVariants } = require('./theme-variants');
+const { resolveFileEntry } = require('./sources');
+const { getInstallFolder, getInstallPath, getInstallPathKey } = require('./install-paths');
+const { isPatternEntry } = require('./file-patterns');
+
+// Rules every path, source and destination must follow, keyed by rule id
+// Sources and paths are read from the submitted repository, destinations are written to the
+// device's FAT32 SD card inside the app's folder
+const PATH_SAFETY_RULES = {
+    'traversal': 'contains a `..` segment',
+    'backslash': 'contains a backslash, use `/` to separate folders',
+    'control-character': 'contains a control character',
+    'empty-segment': 'contains an empty folder name (`//`)',
+    'absolute': 'is an absolute path, give a path relative to the app\'s folder',
+    'fat-character': 'contains a character FAT32 does not allow in file names',
+    'trailing-dot': 'has a file or folder name ending in a dot or space, which FAT32 drops',
+    'name-too-long': 'has a file or folder name longer than FAT32 allows',
+    'path-too-long': 'is installed to a path longer than the device supports',
+    'case-duplicate': 'is installed to the same path as another entry, as the SD card ignores case'
+};
+
+// FAT32 long file names are at most 255 characters, and the device's file API takes
+// paths of at most 255 characters
+const MAX_NAME_LENGTH = 255;
+const MAX_INSTALL_PATH_LENGTH = 255;
+
+// Characters FAT32 does not allow in file names besides control characters ('/' separates folders)
+const FAT_INVALID_CHARACTERS = /["*:<>?|]/;
+
+// Function to create a path problem with its error message
+function createProblem(rule, kind, value, detail = '') {
+    return { rule, message: `${kind} \`${value}\` ${PATH_SAFETY_RULES[rule]}${detail}` };
+}
+
+// Function to check a path, source or destination value
+// kind is 'Path', 'Source' or 'Destination'; only destinations get the FAT32 name rules
+// isFolder allows a trailing slash, as path and directory entries may end with one
+// Returns [{ rule, message }], empty if the value is safe
+function checkPathValue(kind, value, isFolder = kind === 'Path') {
+    const problems = [];
+    const isDestination = kind === 'Destination';
+    // A leading slash is checked by the absolute rule (path and source may start with one)
+    let relative = value.replace(/^\/+/, '');
+    if (isFolder) {
+        relative = relative.replace(/\/+$/, '');
+    }
+    const segments = relative.split('/');
+
+    const control = value.match(/[\x00-\x1f\x7f]/);
+    if (control) {
+        problems.push(createProblem('control-character', kind, value.replace(/[\x00-\x1f\x7f]/g, '?'), ` (${JSON.stringify(control[0])})`));
+    }
+    if (value.includes('\\')) {
+        problems.push(createProblem('backslash', kind, value));
+    }
+    if (segments.includes('..')) {
+        problems.push(createProblem('traversal', kind, value));
+    }
+    if (segments.length > 1 && segments.includes('')) {
+        problems.push(createProblem('empty-segment', kind, value));
+    }
+    if (isDestination && (value.startsWith('/') || /^[a-zA-Z]:/.test(value))) {
+        problems.push(createProblem('absolute', kind, value));
+    }
+    if (isDestination) {
+        const invalid = value.match(FAT_INVALID_CHARACTERS);
+        if (invalid) {
+            problems.push(createProblem('fat-character', kind, value, ` (${JSON.stringify(invalid[0])})`));
+        }
+        if (segments.some(segment => segment !== '..' && /[. ]$/.test(segment))) {
+            problems.push(createProblem('trailing-dot', kind, value));
+        }
+    }
+    const longName = segments.find(segment => segment.length > MAX_NAME_LENGTH);
+    if (longName) {
+        problems.push(createProblem('name-too-long', kind, value.length > 60 ? `${value.slice(0, 57)}...` : value, ` (${longName.length} characters, the limit is ${MAX_NAME_LENGTH})`));
+    }
+
+    return problems;
+}
+
+// Function to check the path and every files entry of an app (every variant of a theme)
+// Entries are also checked against each other for the same install path, ignoring case
+// Directory and glob entries are checked as sources; check the app again once they are expanded
+// Returns [{ rule, message, pointer }] where pointer is the JSON pointer of the offending value
+function checkAppPaths(app) {
+    const problems = [];
+    const add = (pointer, found) => found.forEach(problem => problems.push({ ...problem, pointer }));
+
+    getFileSets(app).forEach((fileSet, setIndex) => {
+        const setPointer = hasVariants(app) ? `/variants/${setIndex}` : '';
+        if (typeof fileSet.path === 'string') {
+            add(`${setPointer}/path`, checkPathValue('Path', fileSet.path));
+        }
+        if (!Array.isArray(fileSet.files)) {
+            return;
+        }
+
+        const installPaths = new Map(); // Install path key -> destination of the first entry installing it
+        fileSet.files.forEach((file, index) => {
+            const entryPointer = `${setPointer}/files/${index}`;
+            if (typeof file !== 'string' && !(file && typeof file.source === 'string' && typeof file.destination === 'string')) {
+                return;
+            }
+
+            // Directory and glob entries are only read from, the files they match are checked once expanded
+            if (isPatternEntry(file)) {
+                add(entryPointer, checkPathValue('Source', file, file.endsWith('/')));
+                return;
+            }
+
+            const { source, destination } = resolveFileEntry(fileSet, file);
+            const destinationProblems = checkPathValue('Destination', destination);
+            if (typeof file === 'string') {
+                // A string is both the source and the destination, report each problem once
+                const rules = new Set(destinationProblems.map(problem => problem.rule));
+                add(entryPointer, [...checkPathValue('Source', source).filter(problem => !rules.has(problem.rule)), ...destinationProblems]);
+            } else {
+                add(`${entryPointer}/source`, checkPathValue('Source', source));
+                add(`${entryPointer}/destination`, destinationProblems);
+            }
+            if (destinationProblems.length > 0 || typeof app.name !== 'string' || typeof app.category !== 'string') {
+                return;
+            }
+
+            const destinationPointer = typeof file === 'string' ? entryPointer : `${entryPointer}/destination`;
+            const installPath = getInstallPath(app, destination);
+            if (installPath.length > MAX_INSTALL_PATH_LENGTH) {
+                add(destinationPointer, [createProblem('path-too-long', 'Destination', destination, ` (${installPath.length} characters in \`${getInstallFolder(app)}\`, the limit is ${MAX_INSTALL_PATH_LENGTH})`)]);
+            }
+            const key = getInstallPathKey(installPath);
+            if (installPaths.has(key)) {
+                add(destinationPointer, [createProblem('case-duplicate', 'Destination', destination, ` (\`${installPaths.get(key)}\`)`)]);
+            } else {
+                installPaths.set(key, destination);
+            }
+        });
+    });
+
+    return problems;
+}
+
+module.exports = {
+    PATH_SAFETY_RULES,
+    MAX_NAME_LENGTH,
+    MAX_INSTALL_PATH_LENGTH,
+    checkPathValue,
+    checkAppPaths
+};
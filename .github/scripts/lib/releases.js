@@ -0,0 +1,807 @@
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { ROOT_DIR, getCategorySlug } = require('./catalog');
+const { loadMetadataSchema } = require('./metadata-schema');
+const { resolveAppFiles } = require('./sources');
+const { checkAppPaths } = require('./path-safety');
+const { isPatternEntry, expandFileEntries, expandAppFiles, hasPatternEntries } = require('./file-patterns');
+const { isSignatureFile } = require('./signing');
+const { getCompatibleDevices } = require('./devices');
+const { getFirmwareRequirements } = require('./firmware');
+const { isTheme: isThemeApp, hasVariants, getFileSets, findVariant } = require('./theme-variants');
+
+// Folder the release files are published from
+const RELEASES_DIR = path.join(ROOT_DIR, 'releases');
+
+// Folder inside releases/ holding the delta feeds between catalog revisions
+const CHANGES_DIR = 'changes';
+
+// Number of delta feeds kept; devices further behind download the full files
+const MAX_CHANGE_FILES = 100;
+
+// Files and folders the release files are generated from
+const RELEASE_INPUTS = ['repositories', 'categories.json', 'metadata.schema.json', 'devices.json', 'firmware-versions.json'];
+
+// Function to read SOURCE_DATE_EPOCH (https://reproducible-builds.org/specs/source-date-epoch/)
+function getSourceDateEpoch() {
+    const value = process.env.SOURCE_DATE_EPOCH;
+    if (value === undefined || value === '') {
+        return null;
+    }
+    if (!/^[0-9]+$/.test(value)) {
+        throw new Error(`SOURCE_DATE_EPOCH must be a Unix timestamp, got '${value}'`);
+    }
+    return parseInt(value);
+}
+
+// Function to get the timestamp used when git has no history for a file
+// Options:
+//   reproducible - fail instead of falling back to the current time
+function getFallbackTimestamp(description, options = {}) {
+    const sourceDateEpoch = getSourceDateEpoch();
+    if (sourceDateEpoch !== null) {
+        console.log(`⚠️ No git history found for ${description}, using SOURCE_DATE_EPOCH: ${new Date(sourceDateEpoch * 1000).toISOString()}`);
+        return sourceDateEpoch;
+    }
+
+    if (options.reproducible) {
+        throw new Error(`No git history found for ${description} and SOURCE_DATE_EPOCH is not set`);
+    }
+
+    // Fallback to current time
+    const fallbackTimestamp = Math.floor(Date.now() / 1000);
+    console.log(`⚠️ No git history found for ${description}, using current time: ${new Date(fallbackTimestamp * 1000).toISOString()}`);
+    return fallbackTimestamp;
+}
+
+// Function to get the last git commit timestamp for one or more paths in the repository
+function getLastCommitTimestamp(filePaths, options = {}) {
+    const paths = Array.isArray(filePaths) ? filePaths : [filePaths];
+    // --follow only works with a single path
+    const follow = paths.length === 1 ? '--follow ' : '';
+
+    let result = '';
+    try {
+        // Use git log to get the most recent commit timestamp for the paths
+        result = execSync(`git log -1 --format=%ct ${follow}-- ${paths.map(filePath => `"${filePath}"`).join(' ')}`, {
+            encoding: 'utf8',
+            stdio: 'pipe',
+            cwd: ROOT_DIR
+        }).trim();
+    } catch (error) {
+        console.warn(`⚠️ Could not get git timestamp for '${paths.join(', ')}': ${error.message}`);
+    }
+
+    if (result) {
+        return parseInt(result);
+    }
+    return getFallbackTimestamp(paths.join(', '), options);
+}
+
+// Function to get the timestamp of every app's metadata.json, keyed by slug
+function getAppTimestamps(catalog, options = {}) {
+    const timestamps = new Map();
+    for (const app of catalog.apps) {
+        timestamps.set(app.slug, getLastCommitTimestamp(app.metadataPath, options));
+    }
+    return timestamps;
+}
+
+// Function to get the generation timestamp: SOURCE_DATE_EPOCH or the last change to the inputs
+function getGeneratedTimestamp(options = {}) {
+    const sourceDateEpoch = getSourceDateEpoch();
+    if (sourceDateEpoch !== null) {
+        return sourceDateEpoch;
+    }
+    return getLastCommitTimestamp(RELEASE_INPUTS, options);
+}
+
+// Function to build the short variant list (vr) of a theme with variants: [{ sss, ts }]
+function toVariantMinEntries(app) {
+    return app.variants.map(variant => {
+        const entry = { sss: variant['supported-screen-size'] };
+        if (typeof variant['total-size'] === 'number') {
+            entry.ts = variant['total-size'];
+        }
+        return entry;
+    });
+}
+
+// Function to build an app entry for category-<slug>.json
+function toCategoryEntry(app) {
+    const { commit, owner, repo, path, metadataPath, category, files, 'file-patterns': filePatterns, 'resolved-files': resolvedFiles, variants, ...cleanApp } = app;
+
+    // Add shortened field names while keeping originals
+    cleanApp.n = cleanApp.name;        // name -> n
+    cleanApp.d = cleanApp.description; // description -> d
+    cleanApp.v = cleanApp.version;     // version -> v
+    cleanApp.s = cleanApp.slug;        // slug -> s
+
+    // Include supported-devices if present (apps/scripts only, not themes)
+    const isTheme = isThemeApp(app);
+    if (app['supported-devices'] && !isTheme) {
+        cleanApp['supported-devices'] = app['supported-devices'];
+        cleanApp['sd'] = app['supported-devices'];
+    }
+
+    // Include required capabilities and minimum screen size if present (apps/scripts only)
+    if (app.requires && !isTheme) {
+        cleanApp['rq'] = app.requires;
+    }
+    if (app['min-screen-size'] && !isTheme) {
+        cleanApp['mss'] = app['min-screen-size'];
+    }
+
+    // Include the firmware requirements if declared (min-firmware and js-api-level imply each other)
+    const firmware = getFirmwareRequirements(app);
+    if (firmware) {
+        cleanApp['mf'] = firmware.minFirmware;
+        cleanApp['api'] = firmware.apiLevel;
+    }
+
+    // Include supported-screen-size if present (themes only)
+    if (app['supported-screen-size'] && isTheme) {
+        cleanApp['supported-screen-size'] = app['supported-screen-size'];
+        cleanApp['sss'] = app['supported-screen-size'];
+    }
+
+    // Include the screen sizes (and download sizes) of a theme's variants, without their paths and files
+    if (hasVariants(app) && isTheme) {
+        cleanApp['variants'] = app.variants.map(variant => {
+            const { path: variantPath, files: variantFiles, 'file-patterns': variantFilePatterns, 'resolved-files': variantResolvedFiles, ...cleanVariant } = variant;
+            return cleanVariant;
+        });
+        cleanApp['vr'] = toVariantMinEntries(app);
+    }
+
+    // Include the total download size and required Bruce modules if every file could be resolved
+    if (typeof app['total-size'] === 'number') {
+        cleanApp['ts'] = app['total-size'];
+    }
+    if (Array.isArray(app.modules)) {
+        cleanApp['mod'] = app.modules;
+    }
+
+    return cleanApp;
+}
+
+// Function to build an app entry for category-<slug>.min.json
+function toCategoryMinEntry(app) {
+    const { commit, owner, repo, path, metadataPath, category, files, 'file-patterns': filePatterns, name, description, version, slug, 'supported-devices': supportedDevices, 'supported-screen-size': supportedScreenSize, requires, 'min-screen-size': minScreenSize, 'min-firmware': minFirmware, 'js-api-level': jsApiLevel, 'resolved-files': resolvedFiles, 'total-size': totalSize, modules, variants, logos, ...cleanApp } = app;
+
+    // Add only shortened field names
+    cleanApp.n = name;        // name -> n
+    cleanApp.d = description; // description -> d
+    cleanApp.v = version;     // version -> v
+    cleanApp.s = slug;        // slug -> s
+
+    // Include supported-devices if present (apps/scripts only, not themes)
+    const isTheme = isThemeApp(app);
+    if (supportedDevices && !isTheme) {
+        cleanApp['sd'] = supportedDevices;
+    }
+
+    // Include required capabilities and minimum screen size if present (apps/scripts only)
+    if (requires && !isTheme) {
+        cleanApp['rq'] = requires;
+    }
+    if (minScreenSize && !isTheme) {
+        cleanApp['mss'] = minScreenSize;
+    }
+
+    // Include the firmware requirements if declared (min-firmware and js-api-level imply each other)
+    const firmware = getFirmwareRequirements(app);
+    if (firmware) {
+        cleanApp['mf'] = firmware.minFirmware;
+        cleanApp['api'] = firmware.apiLevel;
+    }
+
+    // Include supported-screen-size if present (themes only)
+    if (supportedScreenSize && isTheme) {
+        cleanApp['sss'] = supportedScreenSize;
+    }
+
+    // Include the screen sizes (and download sizes) of a theme's variants
+    if (hasVariants(app) && isTheme) {
+        cleanApp['vr'] = toVariantMinEntries(app);
+    }
+
+    // Include the total download size and required Bruce modules if every file could be resolved
+    if (typeof totalSize === 'number') {
+        cleanApp['ts'] = totalSize;
+    }
+    if (Array.isArray(modules)) {
+        cleanApp['mod'] = modules;
+    }
+
+    // Include the paths of the pre-scaled logos, by derivative name
+    if (logos) {
+        cleanApp['lg'] = Object.fromEntries(Object.entries(logos).map(([name, logo]) => [name, logo.path]));
+    }
+
+    return cleanApp;
+}
+
+// Function to replace the directory and glob entries of the catalog apps with the files they match
+// at the pinned commit, so releases list every file explicitly (the original entries are kept as
+// file-patterns, on each variant for themes with variants)
+// The previous release's expansion is reused while the commit, path and entries are unchanged
+// Returns [{ slug, reason }] for apps that cannot be expanded or whose files are unsafe once expanded
+async function expandFilePatterns(catalog, resolver, previousApps) {
+    const failed = [];
+
+    for (const app of catalog.apps.filter(hasPatternEntries)) {
+        const previous = previousApps.get(app.slug);
+        const previousSets = previous && previous.commit === app.commit ? getFileSets(previous) : [];
+        const targets = hasVariants(app) ? app.variants : [app];
+        let reason = null;
+
+        for (const [index, fileSet] of getFileSets(app).entries()) {
+            if (reason || !fileSet.files.some(isPatternEntry)) {
+                continue;
+            }
+
+            let files = getReleasedFiles(fileSet, previousSets[index]);
+            if (!files) {
+                const repositoryFiles = await resolver.listFiles(app);
+                if (!repositoryFiles) {
+                    reason = `the files of ${app.owner}/${app.repo} at ${app.commit} could not be listed`;
+                    continue;
+                }
+                const expansion = expandFileEntries(fileSet, repositoryFiles);
+                const empty = expansion.patterns.find(pattern => pattern.matches.length === 0);
+                if (empty) {
+                    reason = `\`${empty.pattern}\` matches no files`;
+                    continue;
+                }
+                files = expansion.files;
+            }
+
+            targets[index]['file-patterns'] = fileSet.files;
+            targets[index].files = files;
+        }
+
+        const problems = reason ? [] : checkAppPaths(app);
+        if (reason || problems.length > 0) {
+            failed.push({ slug: app.slug, reason: reason || problems[0].message });
+        }
+    }
+
+    return failed;
+}
+
+// Function to get the files a file set was expanded to in a release, while its path and entries are
+// unchanged (null otherwise); the caller checks the release is of the same commit
+function getReleasedFiles(fileSet, releasedSet) {
+    if (releasedSet && releasedSet.path === fileSet.path && JSON.stringify(releasedSet['file-patterns']) === JSON.stringify(fileSet.files)) {
+        return releasedSet.files;
+    }
+    return null;
+}
+
+// Function to expand the directory and glob entries of catalog apps to check what they install,
+// from the released files while an app is unchanged, or else from its repository through resolver
+// Returns { apps, unexpanded } where unexpanded lists the slugs of the apps whose entries could not
+// be expanded; their other files are still listed
+async function expandCatalogApps(apps, releasedApps, resolver) {
+    const expanded = [];
+    const unexpanded = [];
+
+    for (const app of apps) {
+        if (!hasPatternEntries(app)) {
+            expanded.push(app);
+            continue;
+        }
+
+        const released = releasedApps.get(app.slug);
+        const releasedSets = released && released.commit === app.commit ? getFileSets(released) : [];
+        const fileSets = getFileSets(app);
+        const releasedFiles = fileSets.map((fileSet, index) => getReleasedFiles(fileSet, releasedSets[index]));
+        if (releasedFiles.every((files, index) => files || !fileSets[index].files.some(isPatternEntry))) {
+            const withFiles = (fileSet, index) => releasedFiles[index] ? { ...fileSet, files: releasedFiles[index] } : fileSet;
+            expanded.push(hasVariants(app) ? { ...app, variants: app.variants.map(withFiles) } : withFiles(app, 0));
+            continue;
+        }
+
+        const repositoryFiles = await resolver.listFiles(app);
+        if (repositoryFiles) {
+            expanded.push(expandAppFiles(app, repositoryFiles));
+        } else {
+            expanded.push(app);
+            unexpanded.push(app.slug);
+        }
+    }
+
+    return { apps: expanded, unexpanded };
+}
+
+// Function to add the size and SHA-256 of every installable file, and the Bruce modules
+// the app's scripts require(), to the catalog apps (file details of theme variants go on each variant)
+// Apps whose files cannot all be resolved are left without file details
+// Returns the slugs of those apps
+async function addFileDetails(catalog, resolver) {
+    const unresolved = [];
+
+    for (const app of catalog.apps) {
+        const results = [];
+        for (const fileSet of getFileSets(app)) {
+            results.push(await resolveAppFiles(fileSet, resolver));
+        }
+        if (results.some(result => !result)) {
+            unresolved.push(app.slug);
+            continue;
+        }
+
+        const targets = hasVariants(app) ? app.variants : [app];
+        results.forEach((result, index) => {
+            targets[index]['resolved-files'] = result.files;
+            targets[index]['total-size'] = result.totalSize;
+        });
+        app.modules = Array.from(new Set(results.flatMap(result => result.modules))).sort();
+    }
+
+    return unresolved;
+}
+
+// Function to read the catalog revision advertised by a categories.json file (0 if none)
+function readReleaseRevision(categoriesPath) {
+    try {
+        const data = JSON.parse(fs.readFileSync(categoriesPath, 'utf8'));
+        return Number.isInteger(data.revision) ? data.revision : 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
+// Function to read the delta feeds of a previous release, keyed by release file name
+function readChangeFiles(releasesDir = RELEASES_DIR) {
+    const changeFiles = new Map();
+
+    for (const fileName of listFiles(path.join(releasesDir, CHANGES_DIR))) {
+        if (/^[0-9]+-[0-9]+\.json$/.test(fileName)) {
+            changeFiles.set(`${CHANGES_DIR}/${fileName}`, fs.readFileSync(path.join(releasesDir, CHANGES_DIR, fileName), 'utf8'));
+        }
+    }
+
+    return changeFiles;
+}
+
+// Function to build the delta feed between two catalog revisions
+// Added and updated apps carry their new min-format entry plus the category slug (c)
+// Updated apps are those whose metadata.json changed (see summarizeAppChanges), so devices only
+// re-download apps that really changed
+function buildChangeFile(summary, catalog, previousApps, from, to) {
+    const toChangeEntry = ({ slug }) => {
+        const app = catalog.bySlug.get(slug);
+        return { c: getCategorySlug(app.category), ...toCategoryMinEntry(app) };
+    };
+
+    return JSON.stringify({
+        from,
+        to,
+        added: summary.added.map(toChangeEntry),
+        updated: summary.updated.map(toChangeEntry),
+        removed: summary.removed.map(({ slug }) => ({
+            c: getCategorySlug(previousApps.get(slug).category),
+            s: slug
+        }))
+    });
+}
+
+// Function to work out the next catalog revision and the delta feeds to publish
+// The revision only increases when an app was added, removed or its metadata.json changed
+// Returns { revision, oldestRevision, changeFiles }
+function buildReleaseHistory(catalog, previousApps, summary, previousRevision, previousChangeFiles) {
+    const hasChanges = summary.added.length + summary.updated.length + summary.removed.length > 0;
+    const changeFiles = new Map(previousChangeFiles);
+    let revision = previousRevision;
+
+    if (previousRevision === 0) {
+        // First release with a revision: there is nothing to compute a delta from
+        revision = 1;
+    } else if (hasChanges) {
+        revision = previousRevision + 1;
+        changeFiles.set(
+            `${CHANGES_DIR}/${previousRevision}-${revision}.json`,
+            buildChangeFile(summary, catalog, previousApps, previousRevision, revision)
+        );
+    }
+
+    // Keep only the most recent delta feeds
+    const fromRevision = fileName => parseInt(path.posix.basename(fileName));
+    const kept = Array.from(changeFiles.keys())
+        .sort((a, b) => fromRevision(a) - fromRevision(b))
+        .slice(-MAX_CHANGE_FILES);
+    for (const fileName of changeFiles.keys()) {
+        if (!kept.includes(fileName)) {
+            changeFiles.delete(fileName);
+        }
+    }
+
+    return {
+        revision,
+        oldestRevision: kept.length > 0 ? fromRevision(kept[0]) : revision,
+        changeFiles
+    };
+}
+
+// Function to get the highest JS API level needed by any of the apps
+// Returns { maxApiLevel } to spread into a category entry, or {} if no app declares one
+function getMaxApiLevel(apps) {
+    const apiLevels = apps
+        .map(app => getFirmwareRequirements(app))
+        .filter(firmware => firmware && firmware.apiLevel !== null)
+        .map(firmware => firmware.apiLevel);
+    return apiLevels.length > 0 ? { maxApiLevel: Math.max(...apiLevels) } : {};
+}
+
+// Function to build an app entry for device-<id>/category-<slug>.min.json
+// Compatibility is already resolved for these files, so sd, rq and mss are left out
+// and a theme with variants is listed as the variant made for the device's screen
+function toDeviceMinEntry(app, device) {
+    const { sd, rq, mss, vr, ...entry } = toCategoryMinEntry(app);
+
+    if (hasVariants(app)) {
+        const variant = findVariant(app, device['screen-size']);
+        entry.sss = variant['supported-screen-size'];
+        if (typeof variant['total-size'] === 'number') {
+            entry.ts = variant['total-size'];
+        }
+    }
+
+    return entry;
+}
+
+// Function to build the release files of every device: device-<id>/categories.json and
+// device-<id>/category-<slug>.min.json with only the apps that device can install,
+// plus devices.json listing the devices
+function buildDeviceReleaseFiles(catalog, devices, timestamps, files) {
+    const categoryLastUpdated = apps => Math.max(...apps.map(app => timestamps.get(app.slug)));
+
+    // Work out the compatible devices once per app
+    const compatibleDevices = new Map();
+    for (const app of catalog.apps) {
+        compatibleDevices.set(app.slug, new Set(getCompatibleDevices(app, devices).map(device => device.id)));
+    }
+
+    const devicesData = {
+        totalDevices: devices.length,
+        devices: []
+    };
+
+    for (const device of devices) {
+        const deviceDir = `device-${device.id}`;
+        const categories = [];
+
+        for (const category of catalog.categories) {
+            const apps = category.apps.filter(app => compatibleDevices.get(app.slug).has(device.id));
+            if (apps.length === 0) {
+                continue;
+            }
+
+            const minReleaseData = {
+                category: category.name,
+                count: apps.length,
+                apps: apps.map(app => toDeviceMinEntry(app, device))
+            };
+            files.set(`${deviceDir}/category-${category.slug}.min.json`, JSON.stringify(minReleaseData));
+
+            categories.push({
+                name: category.name,
+                slug: category.slug,
+                count: apps.length,
+                lastUpdated: categoryLastUpdated(apps),
+                ...getMaxApiLevel(apps)
+            });
+        }
+
+        const categoriesData = {
+            device: device.name,
+            totalCategories: categories.length,
+            totalApps: categories.reduce((total, category) => total + category.count, 0),
+            categories
+        };
+        files.set(`${deviceDir}/categories.json`, JSON.stringify(categoriesData, null, 2));
+
+        devicesData.devices.push({
+            id: device.id,
+            name: device.name,
+            aliases: device.aliases,
+            'screen-size': device['screen-size'],
+            capabilities: device.capabilities,
+            totalApps: categoriesData.totalApps
+        });
+    }
+
+    files.set('devices.json', JSON.stringify(devicesData, null, 2));
+}
+
+// Function to build the content of every release file from the catalog
+// logoFiles are the logo derivatives from addLogoDerivatives, published as they are
+function buildReleaseFiles(catalog, timestamps, generated, history, devices, logoFiles = new Map()) {
+    const files = new Map();
+    const categoryLastUpdated = category => Math.max(...category.apps.map(app => timestamps.get(app.slug)));
+
+    for (const category of catalog.categories) {
+        const fileName = `category-${category.slug}`;
+
+        const releaseData = {
+            category: category.name,
+            count: category.apps.length,
+            apps: category.apps.map(toCategoryEntry)
+        };
+        files.set(`${fileName}.json`, JSON.stringify(releaseData, null, 2));
+
+        const minReleaseData = {
+            category: category.name,
+            count: category.apps.length,
+            apps: category.apps.map(toCategoryMinEntry)
+        };
+        files.set(`${fileName}.min.json`, JSON.stringify(minReleaseData));
+    }
+
+    const categoriesData = {
+        revision: history.revision,
+        oldestRevision: history.oldestRevision,
+        totalCategories: catalog.categories.length,
+        totalApps: catalog.apps.length,
+        categories: catalog.categories.map(category => ({
+            name: category.name,
+            slug: category.slug,
+            count: category.apps.length,
+            lastUpdated: categoryLastUpdated(category),
+            ...getMaxApiLevel(category.apps)
+        }))
+    };
+    files.set('categories.json', JSON.stringify(categoriesData, null, 2));
+
+    const categoryAllData = {
+        generated,
+        generatedISO: new Date(generated * 1000).toISOString(),
+        totalCategories: catalog.categories.length,
+        totalApps: catalog.apps.length,
+        categories: catalog.categories.map(category => ({
+            name: category.name,
+            slug: category.slug,
+            count: category.apps.length,
+            apps: category.apps.map(app => ({ ...app, lastUpdated: timestamps.get(app.slug) })),
+            lastUpdated: categoryLastUpdated(category)
+        }))
+    };
+    files.set('category-all.json', JSON.stringify(categoryAllData, null, 2));
+
+    buildDeviceReleaseFiles(catalog, devices, timestamps, files);
+
+    for (const [fileName, content] of history.changeFiles) {
+        files.set(fileName, content);
+    }
+    for (const [fileName, content] of logoFiles) {
+        files.set(fileName, content);
+    }
+
+    return files;
+}
+
+// Function to write release files into a fresh staging directory next to releases/
+// Content is a string (written as UTF-8) or a Buffer for binary files such as logos
+function writeStagingDirectory(files, releasesDir = RELEASES_DIR) {
+    const stagingDir = fs.mkdtempSync(path.join(path.dirname(releasesDir), '.releases-staging-'));
+
+    try {
+        for (const [fileName, content] of files) {
+            const filePath = path.join(stagingDir, fileName);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, content, 'utf8');
+        }
+    } catch (error) {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+        throw error;
+    }
+
+    return stagingDir;
+}
+
+// Function to replace releases/ with a staging directory
+function swapIntoReleases(stagingDir, releasesDir = RELEASES_DIR) {
+    const backupDir = `${releasesDir}.previous`;
+    fs.rmSync(backupDir, { recursive: true, force: true });
+
+    if (fs.existsSync(releasesDir)) {
+        fs.renameSync(releasesDir, backupDir);
+    }
+
+    try {
+        fs.renameSync(stagingDir, releasesDir);
+    } catch (error) {
+        // Put the previous releases back if the swap failed
+        if (fs.existsSync(backupDir)) {
+            fs.renameSync(backupDir, releasesDir);
+        }
+        throw error;
+    }
+
+    fs.rmSync(backupDir, { recursive: true, force: true });
+}
+
+// Function to recursively list the files in a directory, relative to it
+function listFiles(dir, baseDir = dir) {
+    const files = [];
+
+    if (!fs.existsSync(dir)) {
+        return files;
+    }
+
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, item.name);
+        if (item.isDirectory()) {
+            files.push(...listFiles(fullPath, baseDir));
+        } else {
+            files.push(path.relative(baseDir, fullPath).replace(/\\/g, '/'));
+        }
+    }
+
+    return files.sort();
+}
+
+// Function to compare freshly built release files with the files in releases/
+function diffReleaseFiles(files, releasesDir = RELEASES_DIR) {
+    const differences = [];
+
+    for (const [fileName, content] of files) {
+        const filePath = path.join(releasesDir, fileName);
+        if (!fs.existsSync(filePath)) {
+            differences.push({ file: fileName, status: 'missing' });
+        } else if (!fs.readFileSync(filePath).equals(Buffer.from(content))) {
+            differences.push({ file: fileName, status: 'modified' });
+        }
+    }
+
+    // Signatures are added afterwards by sign-releases.js
+    for (const fileName of listFiles(releasesDir).filter(fileName => !isSignatureFile(fileName))) {
+        if (!files.has(fileName)) {
+            differences.push({ file: fileName, status: 'unexpected' });
+        }
+    }
+
+    return differences;
+}
+
+// Function to read the apps of a category-all.json file, keyed by slug
+function readReleasedApps(categoryAllPath) {
+    const apps = new Map();
+
+    if (!fs.existsSync(categoryAllPath)) {
+        return apps;
+    }
+
+    try {
+        const data = JSON.parse(fs.readFileSync(categoryAllPath, 'utf8'));
+        for (const category of data.categories || []) {
+            for (const app of category.apps || []) {
+                apps.set(app.slug, app);
+            }
+        }
+    } catch (error) {
+        console.warn(`⚠️ Could not read ${categoryAllPath}: ${error.message}`);
+    }
+
+    return apps;
+}
+
+// Function to get the fields of a released app that come from its metadata.json
+// File details, logos and the other fields the builder derives are left out, and expanded
+// directory and glob entries are compared as submitted (file-patterns)
+function getMetadataFields(app) {
+    const schema = loadMetadataSchema();
+    const pickFields = (object, keys) => Object.fromEntries(keys.filter(key => key in object).map(key => [key, object[key]]));
+    const asSubmitted = fileSet => fileSet['file-patterns'] ? { ...fileSet, files: fileSet['file-patterns'] } : fileSet;
+
+    const fields = pickFields(asSubmitted(app), Object.keys(schema.properties));
+    if (Array.isArray(fields.variants)) {
+        const variantKeys = Object.keys(schema.definitions.themeVariant.properties);
+        fields.variants = fields.variants.map(variant => pickFields(asSubmitted(variant), variantKeys));
+    }
+    return fields;
+}
+
+// Function to compare the apps of two release generations
+// Only metadata.json changes count, so re-resolved file details or regenerated logos do not
+// make an app updated (or bump the catalog revision)
+function summarizeAppChanges(previousApps, nextApps) {
+    const summary = { added: [], removed: [], updated: [], unchanged: [] };
+
+    for (const [slug, app] of nextApps) {
+        const previous = previousApps.get(slug);
+
+        if (!previous) {
+            summary.added.push({ slug, name: app.name, version: app.version });
+            continue;
+        }
+
+        const previousFields = getMetadataFields(previous);
+        const nextFields = getMetadataFields(app);
+        const changedFields = Array.from(new Set([...Object.keys(previousFields), ...Object.keys(nextFields)]))
+            .filter(field => JSON.stringify(previousFields[field]) !== JSON.stringify(nextFields[field]))
+            .sort();
+
+        if (changedFields.length > 0) {
+            summary.updated.push({
+                slug,
+                name: app.name,
+                previousVersion: previous.version,
+                version: app.version,
+                changedFields
+            });
+        } else {
+            summary.unchanged.push(slug);
+        }
+    }
+
+    for (const [slug, app] of previousApps) {
+        if (!nextApps.has(slug)) {
+            summary.removed.push({ slug, name: app.name, version: app.version });
+        }
+    }
+
+    return summary;
+}
+
+// Function to render an app change summary as markdown
+function formatAppChanges(summary) {
+    let output = '';
+
+    output += `- **Added:** ${summary.added.length}\n`;
+    output += `- **Updated:** ${summary.updated.length}\n`;
+    output += `- **Removed:** ${summary.removed.length}\n`;
+    output += `- **Unchanged:** ${summary.unchanged.length}\n`;
+
+    if (summary.added.length > 0) {
+        output += '\n### 🆕 Added\n\n';
+        for (const app of summary.added) {
+            output += `- \`${app.slug}\` ${app.version}\n`;
+        }
+    }
+
+    if (summary.updated.length > 0) {
+        output += '\n### 🔄 Updated\n\n';
+        for (const app of summary.updated) {
+            const version = app.previousVersion === app.version ? app.version : `${app.previousVersion} → ${app.version}`;
+            output += `- \`${app.slug}\` ${version} (${app.changedFields.join(', ')})\n`;
+        }
+    }
+
+    if (summary.removed.length > 0) {
+        output += '\n### 🗑️ Removed\n\n';
+        for (const app of summary.removed) {
+            output += `- \`${app.slug}\` ${app.version}\n`;
+        }
+    }
+
+    return output;
+}
+
+module.exports = {
+    RELEASES_DIR,
+    CHANGES_DIR,
+    getSourceDateEpoch,
+    getLastCommitTimestamp,
+    getAppTimestamps,
+    getGeneratedTimestamp,
+    toCategoryEntry,
+    toCategoryMinEntry,
+    expandFilePatterns,
+    addFileDetails,
+    readReleaseRevision,
+    readChangeFiles,
+    buildReleaseHistory,
+    buildReleaseFiles,
+    writeStagingDirectory,
+    swapIntoReleases,
+    listFiles,
+    diffReleaseFiles,
+    readReleasedApps,
+    expandCatalogApps,
+    summarizeAppChanges,
+    formatAppChanges
+};
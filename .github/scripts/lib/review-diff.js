@@ -0,0 +1,163 @@
+const { getRepositoryPath, resolveFileEntry } = require('./sources');
+const { getFileSets } = require('./theme-variants');
+const { isPatternEntry } = require('./file-patterns');
+const { escapeTableCell, escapeHtml, formatInlineCode, formatCodeBlock } = require('./markdown');
+
+// Longest inline diff shown for a file, in patch lines
+const MAX_INLINE_DIFF_LINES = 40;
+
+// Files with more changed lines than this only get their line counts
+const MAX_INLINE_DIFF_CHANGES = 200;
+
+// How each kind of change is shown to reviewers
+const CHANGE_LABELS = {
+    'added': '🆕 added',
+    'removed': '🗑️ removed',
+    'modified': '✏️ modified',
+    'renamed': '🔀 renamed',
+    'now installed': '➕ now installed',
+    'no longer installed': '➖ no longer installed'
+};
+
+// Function to map the repository paths of a metadata files array to how they are displayed
+// Theme variants contribute the files of every variant; directory and glob entries must have been
+// expanded to the files they match, those that could not be are left out
+function getTrackedFiles(metadata) {
+    const tracked = new Map();
+
+    for (const fileSet of getFileSets(metadata)) {
+        for (const file of Array.isArray(fileSet.files) ? fileSet.files : []) {
+            const isEntry = (typeof file === 'string' && !isPatternEntry(file)) || (file && typeof file.source === 'string' && typeof file.destination === 'string');
+            if (!isEntry || typeof fileSet.path !== 'string') {
+                continue;
+            }
+            const { source, destination, repositoryPath } = resolveFileEntry(fileSet, file);
+            tracked.set(repositoryPath, source === destination ? source : `${source} → ${destination}`);
+        }
+    }
+
+    return tracked;
+}
+
+// Function to summarize the changes between two commits of an app for reviewers
+// comparedFiles is the file list of the GitHub compare API. Returns
+// { files: [{ file, change, additions, deletions, changes, patch }], unchanged, untracked, outsidePath }
+// where files covers the installed files (before or after the update), untracked the other
+// changed files under metadata.path and outsidePath the changed files outside of it
+function summarizeChanges(previousMetadata, metadata, comparedFiles) {
+    const trackedNow = getTrackedFiles(metadata);
+    const trackedBefore = getTrackedFiles(previousMetadata);
+    const changedFiles = new Map(comparedFiles.map(file => [file.filename, file]));
+    const renamedFiles = new Map(comparedFiles.filter(file => file.previous_filename).map(file => [file.previous_filename, file]));
+
+    const files = [];
+    let unchanged = 0;
+    const seen = new Set();
+
+    for (const repositoryPath of new Set([...trackedNow.keys(), ...trackedBefore.keys()])) {
+        // A file renamed from one installed path to another is listed once, under its new name
+        const renamed = renamedFiles.get(repositoryPath);
+        if (renamed && !trackedNow.has(repositoryPath) && trackedNow.has(renamed.filename)) {
+            continue;
+        }
+
+        const changed = changedFiles.get(repositoryPath) || renamed;
+        const display = trackedNow.get(repositoryPath) || trackedBefore.get(repositoryPath);
+        const wasTracked = trackedBefore.has(repositoryPath) || Boolean(changed && trackedBefore.has(changed.previous_filename));
+
+        let change = changed ? changed.status : null;
+        if (!wasTracked && change !== 'added') {
+            change = 'now installed';
+        } else if (!trackedNow.has(repositoryPath) && change !== 'removed') {
+            change = 'no longer installed';
+        }
+
+        if (changed) {
+            seen.add(changed.filename);
+        }
+        if (!change) {
+            unchanged++;
+            continue;
+        }
+
+        files.push({
+            file: display,
+            change,
+            additions: changed ? changed.additions : 0,
+            deletions: changed ? changed.deletions : 0,
+            patch: changed ? changed.patch || null : null,
+            changes: changed ? changed.changes : 0
+        });
+    }
+
+    // Everything else the commits changed, split by whether it is inside metadata.path
+    // (or the path of any variant)
+    const basePrefixes = getFileSets(metadata).map(fileSet => getRepositoryPath(fileSet.path || '/', ''));
+    const untracked = [];
+    const outsidePath = [];
+    for (const file of comparedFiles.filter(file => !seen.has(file.filename))) {
+        const entry = { file: file.filename, change: file.status, additions: file.additions, deletions: file.deletions };
+        if (basePrefixes.some(prefix => file.filename.startsWith(prefix))) {
+            untracked.push(entry);
+        } else {
+            outsidePath.push(entry);
+        }
+    }
+
+    return { files, unchanged, untracked, outsidePath };
+}
+
+// Function to format the line counts of a changed file
+function formatLineCounts({ additions, deletions }) {
+    return `+${additions} / -${deletions}`;
+}
+
+// Function to shorten a unified diff to MAX_INLINE_DIFF_LINES lines
+function truncatePatch(patch) {
+    const lines = patch.split('\n');
+    if (lines.length <= MAX_INLINE_DIFF_LINES) {
+        return patch;
+    }
+    return `${lines.slice(0, MAX_INLINE_DIFF_LINES).join('\n')}\n... ${lines.length - MAX_INLINE_DIFF_LINES} more lines`;
+}
+
+// Function to format a change summary as markdown for the PR comment
+function formatChangeSummary(summary) {
+    let markdown = '';
+
+    if (summary.files.length > 0) {
+        markdown += '\n**Installed files:**\n\n';
+        markdown += '| File | Change | Lines |\n';
+        markdown += '| ---- | ------ | ----- |\n';
+        for (const file of summary.files) {
+            markdown += `| ${escapeTableCell(formatInlineCode(file.file))} | ${CHANGE_LABELS[file.change] || file.change} | ${formatLineCounts(file)} |\n`;
+        }
+        if (summary.unchanged > 0) {
+            markdown += `\n${summary.unchanged} other installed file(s) unchanged.\n`;
+        }
+
+        // Small text diffs inline; binary files have no patch and large ones link to the comparison
+        for (const file of summary.files.filter(file => file.patch && file.changes <= MAX_INLINE_DIFF_CHANGES)) {
+            markdown += `\n<details>\n<summary>Diff of <code>${escapeHtml(file.file)}</code> (${formatLineCounts(file)})</summary>\n\n`;
+            markdown += `${formatCodeBlock(truncatePatch(file.patch), 'diff')}\n</details>\n`;
+        }
+    } else {
+        markdown += '\nNone of the installed files changed.\n';
+    }
+
+    if (summary.untracked.length > 0) {
+        markdown += `\n**Other changes under \`path\` (not installed):** ${summary.untracked.map(file => `${formatInlineCode(file.file)} (${formatLineCounts(file)})`).join(', ')}\n`;
+    }
+    if (summary.outsidePath.length > 0) {
+        markdown += `\n**Changes outside \`path\` (not installed):** ${summary.outsidePath.map(file => `${formatInlineCode(file.file)} (${formatLineCounts(file)})`).join(', ')}\n`;
+    }
+
+    return markdown;
+}
+
+module.exports = {
+    MAX_INLINE_DIFF_LINES,
+    MAX_INLINE_DIFF_CHANGES,
+    summarizeChanges,
+    formatChangeSummary
+};
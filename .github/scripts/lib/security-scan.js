@@ -0,0 +1,185 @@
+const { tokenize } = require('./js-analysis');
+const { isTheme, getFileSets } = require('./theme-variants');
+const { getInstallFolder, getInstallPath } = require('./install-paths');
+
+// Kinds of risky behaviour reported to reviewers, keyed by rule id
+const SECURITY_RULES = {
+    'delete-outside-app': 'Deletes files outside `__dirpath`',
+    'foreign-app-write': 'Modifies files of other apps or themes',
+    'storage-wipe': 'Wipes or formats storage',
+    'network': 'Sends data over the network',
+    'dynamic-code': 'Runs dynamically generated code'
+};
+
+// Functions and storage methods that delete, modify or send data
+const DELETE_CALLS = ['remove', 'rmdir', 'unlink', 'deleteFile', 'removeDir'];
+const WRITE_CALLS = ['write', 'writeFile', 'appendFile', 'rename', 'mkdir', 'copy', ...DELETE_CALLS];
+const WIPE_CALLS = ['format', 'formatSD', 'formatLittleFS', 'wipe', 'eraseAll'];
+const NETWORK_CALLS = ['httpFetch', 'fetch', 'httpPost', 'httpRequest', 'sendTo', 'connectTo'];
+
+// Storage roots whose removal wipes every app or theme
+const STORAGE_ROOTS = ['', '/', '/BruceJS', '/BruceThemes'];
+
+// Function to split the argument tokens of a call, starting at the token after its "("
+// Returns one token list per argument
+function readArguments(tokens, start) {
+    const args = [[]];
+    let depth = 0;
+
+    for (let index = start; index < tokens.length; index++) {
+        const token = tokens[index];
+        if (token.type === 'punctuator' && ['(', '[', '{'].includes(token.value)) {
+            depth++;
+        } else if (token.type === 'punctuator' && [')', ']', '}'].includes(token.value)) {
+            if (depth === 0) {
+                break;
+            }
+            depth--;
+        } else if (token.type === 'punctuator' && token.value === ',' && depth === 0) {
+            args.push([]);
+            continue;
+        }
+        args[args.length - 1].push(token);
+    }
+
+    return args.filter(arg => arg.length > 0);
+}
+
+// Function to find every call in a token list: { name, isMethod, receiver, isNew, args, line }
+// receiver is the identifier before the dot for method calls (storage.remove -> "storage")
+function findCalls(tokens) {
+    const calls = [];
+
+    tokens.forEach((token, index) => {
+        const next = tokens[index + 1];
+        if (token.type !== 'identifier' || !next || next.value !== '(') {
+            return;
+        }
+
+        // Function declarations look like calls but are not
+        const before = tokens[index - 1];
+        if (before && before.value === 'function') {
+            return;
+        }
+
+        const isMethod = before && (before.value === '.' || before.value === '?.');
+        const receiver = isMethod && tokens[index - 2] && tokens[index - 2].type === 'identifier' ? tokens[index - 2].value : null;
+        calls.push({
+            name: token.value,
+            isMethod,
+            receiver,
+            isNew: !isMethod && Boolean(before) && before.value === 'new',
+            args: readArguments(tokens, index + 2),
+            line: token.line
+        });
+    });
+
+    return calls;
+}
+
+// Function to check whether a path argument starts at the app's own folder (__dirpath)
+function isUnderDirpath(arg) {
+    const first = arg[0];
+    if (first && first.type === 'identifier' && first.value === '__dirpath') {
+        return true;
+    }
+    // `${__dirpath}/file` tokenizes as an empty template chunk followed by __dirpath
+    return Boolean(first && first.type === 'template' && first.value === '' && arg[1] && arg[1].value === '__dirpath');
+}
+
+// Function to get the literal text of a path argument, or null if it is computed
+function getLiteralPath(arg) {
+    if (arg.length === 1 && (arg[0].type === 'string' || arg[0].type === 'template')) {
+        return arg[0].value;
+    }
+    return null;
+}
+
+// Function to get the on-device paths an app owns, lowercased as the SD card ignores case
+// Apps share /BruceJS/<category>, so an app owns only the files it installs there and the
+// subfolders they are in; a theme owns its whole /BruceThemes/<theme name> folder
+// Returns { files, folders } where folders end in '/'
+function getOwnPaths(metadata) {
+    const files = new Set();
+    const folders = new Set();
+
+    if (isTheme(metadata)) {
+        folders.add(`${getInstallFolder(metadata)}/`.toLowerCase());
+    }
+    for (const fileSet of getFileSets(metadata)) {
+        for (const file of Array.isArray(fileSet.files) ? fileSet.files : []) {
+            const destination = typeof file === 'string' ? file : file && file.destination;
+            if (typeof destination !== 'string') {
+                continue;
+            }
+
+            const relative = destination.replace(/^\/+/, '');
+            files.add(getInstallPath(metadata, relative).replace(/\/+$/, '').toLowerCase());
+            if (relative.includes('/')) {
+                folders.add(`${getInstallPath(metadata, relative.split('/')[0])}/`.toLowerCase());
+            }
+        }
+    }
+
+    return { files, folders };
+}
+
+// Function to check whether an on-device path belongs to the app itself
+function isOwnPath(text, ownPaths) {
+    const target = text.toLowerCase().replace(/\/+$/, '');
+    return ownPaths.files.has(target) ||
+        Array.from(ownPaths.folders).some(folder => `${target}/` === folder || target.startsWith(folder));
+}
+
+// Function to scan a Bruce JS script for behaviour a reviewer should look at
+// Returns [{ rule, description, line, detail }] ordered by line
+function scanScript(source, metadata) {
+    const tokens = tokenize(source);
+    const ownPaths = getOwnPaths(metadata);
+    const findings = [];
+    const report = (rule, line, detail) => findings.push({ rule, description: SECURITY_RULES[rule], line, detail });
+
+    for (const call of findCalls(tokens)) {
+        const callee = call.receiver ? `${call.receiver}.${call.name}` : call.name;
+        const firstArg = call.args[0] || [];
+        const literalPath = getLiteralPath(firstArg);
+
+        if (WIPE_CALLS.includes(call.name)) {
+            report('storage-wipe', call.line, `\`${callee}()\``);
+        } else if (DELETE_CALLS.includes(call.name) && literalPath !== null &&
+            STORAGE_ROOTS.includes(literalPath.replace(/\/+$/, ''))) {
+            report('storage-wipe', call.line, `\`${callee}("${literalPath}")\``);
+        } else if (DELETE_CALLS.includes(call.name) && call.args.length > 0 && !isUnderDirpath(firstArg)) {
+            report('delete-outside-app', call.line, `\`${callee}()\` on a path not built from \`__dirpath\``);
+        }
+
+        // Literal paths in /BruceJS or /BruceThemes other than the app's own files and subfolders
+        if (WRITE_CALLS.includes(call.name)) {
+            for (const arg of call.args) {
+                const text = arg[0] && ['string', 'template'].includes(arg[0].type) ? arg[0].value : null;
+                if (text && /^\/Bruce(JS|Themes)(\/|$)/i.test(text) && !isOwnPath(text, ownPaths)) {
+                    report('foreign-app-write', call.line, `\`${callee}()\` on \`${text}\``);
+                }
+            }
+        }
+
+        if (NETWORK_CALLS.includes(call.name)) {
+            report('network', call.line, `\`${callee}()\``);
+        }
+
+        if (['eval', 'Function'].includes(call.name) && !call.isMethod) {
+            report('dynamic-code', call.line, `\`${call.isNew ? 'new ' : ''}${call.name}()\``);
+        } else if (['setTimeout', 'setInterval'].includes(call.name) && firstArg.length === 1 &&
+            ['string', 'template'].includes(firstArg[0].type)) {
+            report('dynamic-code', call.line, `\`${call.name}()\` with a string of code`);
+        }
+    }
+
+    return findings.sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+    SECURITY_RULES,
+    findCalls,
+    scanScript
+};
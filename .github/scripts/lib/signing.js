@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Extension of the detached signature written next to each signed release file
+const SIGNATURE_EXTENSION = '.sig';
+
+// DER prefixes that wrap a raw 32-byte Ed25519 key as PKCS#8 / SPKI
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Function to check whether a release file is signed: categories.json, category-*.json,
+// devices.json and the delta feeds
+function isSignedFile(fileName) {
+    const baseName = path.posix.basename(fileName);
+    return baseName === 'categories.json' ||
+        /^category-.+\.json$/.test(baseName) ||
+        fileName === 'devices.json' ||
+        /^changes\/[0-9]+-[0-9]+\.json$/.test(fileName);
+}
+
+// Function to check whether a release file is a detached signature
+function isSignatureFile(fileName) {
+    return fileName.endsWith(SIGNATURE_EXTENSION);
+}
+
+// Function to decode a 32-byte key given as hex or base64
+function decodeRawKey(value, description) {
+    const trimmed = value.trim();
+    const raw = /^[0-9a-fA-F]{64}$/.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+    if (raw.length !== 32) {
+        throw new Error(`${description} must be 32 bytes encoded as hex or base64`);
+    }
+    return raw;
+}
+
+// Function to load the private key from a 32-byte seed (hex or base64) or a PKCS#8 PEM
+function loadPrivateKey(value) {
+    if (value.includes('-----BEGIN')) {
+        const key = crypto.createPrivateKey(value);
+        if (key.asymmetricKeyType !== 'ed25519') {
+            throw new Error(`Signing key must be an Ed25519 key, got ${key.asymmetricKeyType}`);
+        }
+        return key;
+    }
+
+    const seed = decodeRawKey(value, 'Signing key');
+    return crypto.createPrivateKey({ key: Buffer.concat([PKCS8_PREFIX, seed]), format: 'der', type: 'pkcs8' });
+}
+
+// Function to load a public key from its raw 32 bytes (hex or base64) or an SPKI PEM
+function loadPublicKey(value) {
+    if (value.includes('-----BEGIN')) {
+        const key = crypto.createPublicKey(value);
+        if (key.asymmetricKeyType !== 'ed25519') {
+            throw new Error(`Public key must be an Ed25519 key, got ${key.asymmetricKeyType}`);
+        }
+        return key;
+    }
+
+    const raw = decodeRawKey(value, 'Public key');
+    return crypto.createPublicKey({ key: Buffer.concat([SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+// Function to export a public key as the hex string firmware embeds
+function exportPublicKey(key) {
+    const publicKey = key.type === 'private' ? crypto.createPublicKey(key) : key;
+    return publicKey.export({ format: 'der', type: 'spki' }).subarray(SPKI_PREFIX.length).toString('hex');
+}
+
+// Function to generate a new key pair
+// Returns { privateKey, publicKey } as hex: the 32-byte seed and the 32-byte public key
+function generateKeyPair() {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const seed = privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(PKCS8_PREFIX.length);
+    return {
+        privateKey: seed.toString('hex'),
+        publicKey: exportPublicKey(privateKey)
+    };
+}
+
+// Function to sign file content: returns the 64-byte signature as base64
+function signContent(content, privateKey) {
+    return crypto.sign(null, Buffer.from(content), privateKey).toString('base64');
+}
+
+// Function to verify a base64 signature over file content
+function verifyContent(content, signature, publicKey) {
+    const raw = Buffer.from(signature.trim(), 'base64');
+    if (raw.length !== 64) {
+        return false;
+    }
+    return crypto.verify(null, Buffer.from(content), publicKey, raw);
+}
+
+// Function to sign every signed file in a release directory
+// Stale signatures without a matching file are removed
+// Returns the list of signed files
+function signReleaseDirectory(releasesDir, fileNames, privateKey) {
+    const signed = [];
+
+    for (const fileName of fileNames) {
+        const filePath = path.join(releasesDir, fileName);
+        if (isSignatureFile(fileName)) {
+            if (!fs.existsSync(filePath.slice(0, -SIGNATURE_EXTENSION.length))) {
+                fs.rmSync(filePath);
+            }
+            continue;
+        }
+        if (!isSignedFile(fileName)) {
+            continue;
+        }
+
+        const signature = signContent(fs.readFileSync(filePath), privateKey);
+        fs.writeFileSync(`${filePath}${SIGNATURE_EXTENSION}`, `${signature}\n`, 'utf8');
+        signed.push(fileName);
+    }
+
+    return signed;
+}
+
+// Function to verify every signed file in a release directory
+// Returns [{ file, status: 'valid' | 'invalid' | 'missing' }]
+function verifyReleaseDirectory(releasesDir, fileNames, publicKey) {
+    const results = [];
+
+    for (const fileName of fileNames.filter(isSignedFile)) {
+        const filePath = path.join(releasesDir, fileName);
+        const signaturePath = `${filePath}${SIGNATURE_EXTENSION}`;
+
+        if (!fs.existsSync(signaturePath)) {
+            results.push({ file: fileName, status: 'missing' });
+            continue;
+        }
+
+        const valid = verifyContent(fs.readFileSync(filePath), fs.readFileSync(signaturePath, 'utf8'), publicKey);
+        results.push({ file: fileName, status: valid ? 'valid' : 'invalid' });
+    }
+
+    return results;
+}
+
+module.exports = {
+    SIGNATURE_EXTENSION,
+    isSignedFile,
+    isSignatureFile,
+    loadPrivateKey,
+    loadPublicKey,
+    exportPublicKey,
+    generateKeyPair,
+    signContent,
+    verifyContent,
+    signReleaseDirectory,
+    verifyReleaseDirectory
+};
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { analyzeScript, isScriptFile } = require('./js-analysis');
+const { isPatternEntry } = require('./file-patterns');
+const { getFileSets } = require('./theme-variants');
+const { getRepositoryFiles } = require('./github');
+
+// Where installable files are downloaded from when no local copy is available
+const RAW_CONTENT_URL = 'https://raw.githubusercontent.com';
+
+// Limits for downloading a file of a submitted repository, so a huge file or a stalled
+// connection cannot exhaust the runner's memory or hang the validator and release build
+const MAX_DOWNLOAD_SIZE = 32 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+
+// Function to join metadata.path and a file path into a path inside the source repository
+function getRepositoryPath(basePath, filePath) {
+    const cleanBasePath = basePath === '/' ? '' : basePath.replace(/^\/+|\/+$/g, '');
+    const cleanFilePath = filePath.startsWith('/') ? filePath.substring(1) : filePath;
+    return cleanBasePath ? `${cleanBasePath}/${cleanFilePath}` : cleanFilePath;
+}
+
+// Function to normalize a files entry: strings are installed as-is, objects map a source to a destination
+function resolveFileEntry(metadata, file) {
+    const source = typeof file === 'string' ? file : file.source;
+    const destination = typeof file === 'string' ? file : file.destination;
+    return {
+        source,
+        destination,
+        repositoryPath: getRepositoryPath(metadata.path, source)
+    };
+}
+
+// Function to get the key identifying a file's content: owner/repo@commit:path
+function getBlobKey(app, repositoryPath) {
+    return `${app.owner}/${app.repo}@${app.commit}:${repositoryPath}`;
+}
+
+// Function to read a file from a local clone at <sourcesDir>/<owner>/<repo>
+function readFromLocalClone(sourcesDir, app, repositoryPath) {
+    const cloneDir = path.join(sourcesDir, app.owner, app.repo);
+    if (!fs.existsSync(cloneDir)) {
+        return null;
+    }
+
+    try {
+        return execFileSync('git', ['cat-file', 'blob', `${app.commit}:${repositoryPath}`], {
+            cwd: cloneDir,
+            stdio: ['ignore', 'pipe', 'ignore'],
+            maxBuffer: 64 * 1024 * 1024
+        });
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function to list the files of a local clone at <sourcesDir>/<owner>/<repo> at the pinned commit
+function listLocalClone(sourcesDir, app) {
+    const cloneDir = path.join(sourcesDir, app.owner, app.repo);
+    if (!fs.existsSync(cloneDir)) {
+        return null;
+    }
+
+    try {
+        const output = execFileSync('git', ['ls-tree', '-r', '-z', '--name-only', app.commit], {
+            cwd: cloneDir,
+            stdio: ['ignore', 'pipe', 'ignore'],
+            maxBuffer: 64 * 1024 * 1024
+        });
+        return new Set(output.toString('utf8').split('\0').filter(Boolean));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function to get the location of a fetched file inside the blob cache
+function getCachePath(cacheDir, app, repositoryPath) {
+    return path.join(cacheDir, app.owner, app.repo, app.commit, ...repositoryPath.split('/'));
+}
+
+// Function to get the location of a repository's file list inside the blob cache
+function getTreeCachePath(cacheDir, app) {
+    return path.join(cacheDir, app.owner, app.repo, `${app.commit}.tree.json`);
+}
+
+// Function to download a file from raw.githubusercontent.com at the pinned commit
+async function fetchRawFile(app, repositoryPath) {
+    const encodedPath = repositoryPath.split('/').map(encodeURIComponent).join('/');
+    const url = `${RAW_CONTENT_URL}/${app.owner}/${app.repo}/${app.commit}/${encodedPath}`;
+
+    const response = await fetch(url, {
+        headers: { 'User-Agent': 'App-Store-Data-Release-Builder/1.0' },
+        signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+
+    // Reject oversized files up front when the size is announced, and while streaming otherwise
+    const tooLarge = () => new Error(`${url} is larger than the ${MAX_DOWNLOAD_SIZE / (1024 * 1024)} MB download limit`);
+    if (Number(response.headers.get('content-length')) > MAX_DOWNLOAD_SIZE) {
+        await response.body.cancel();
+        throw tooLarge();
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > MAX_DOWNLOAD_SIZE) {
+            throw tooLarge();
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks, size);
+}
+
+// Function to create a resolver that looks up the size and SHA-256 of files at a commit
+// Scripts also get the Bruce modules they require(), and the repository's files can be listed
+// Options:
+//   sourcesDir - folder with local clones laid out as <owner>/<repo>
+//   cacheDir   - folder where fetched files are cached, laid out as <owner>/<repo>/<commit>/<path>
+//                (and repository file lists as <owner>/<repo>/<commit>.tree.json)
+//   offline    - never download files from GitHub
+//   knownFiles - Map of blob key to { size, sha256, modules } from a previous release
+function createSourceResolver(options = {}) {
+    const { sourcesDir, cacheDir, offline = false, knownFiles = new Map() } = options;
+    const resolved = new Map(knownFiles);
+
+    async function readFile(app, repositoryPath) {
+        if (sourcesDir) {
+            const content = readFromLocalClone(sourcesDir, app, repositoryPath);
+            if (content) {
+                return content;
+            }
+        }
+
+        const cachePath = cacheDir ? getCachePath(cacheDir, app, repositoryPath) : null;
+        if (cachePath && fs.existsSync(cachePath)) {
+            return fs.readFileSync(cachePath);
+        }
+
+        if (offline) {
+            return null;
+        }
+
+        const content = await fetchRawFile(app, repositoryPath);
+        if (cachePath) {
+            fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+            fs.writeFileSync(cachePath, content);
+        }
+        return content;
+    }
+
+    // Function to get { size, sha256 } (plus modules for scripts) for a file, or null if it cannot be read
+    async function resolve(app, repositoryPath) {
+        const key = getBlobKey(app, repositoryPath);
+        if (resolved.has(key)) {
+            return resolved.get(key);
+        }
+
+        let content = null;
+        try {
+            content = await readFile(app, repositoryPath);
+        } catch (error) {
+            console.warn(`⚠️ Could not read ${key}: ${error.message}`);
+        }
+        if (!content) {
+            return null;
+        }
+
+        const details = {
+            size: content.length,
+            sha256: crypto.createHash('sha256').update(content).digest('hex')
+        };
+        if (isScriptFile(repositoryPath)) {
+            details.modules = analyzeScript(content.toString('utf8'), repositoryPath).modules;
+        }
+        resolved.set(key, details);
+        return details;
+    }
+
+    // Function to get the content of a file as a Buffer, or null if it cannot be read
+    async function read(app, repositoryPath) {
+        try {
+            return await readFile(app, repositoryPath);
+        } catch (error) {
+            console.warn(`⚠️ Could not read ${getBlobKey(app, repositoryPath)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Function to list every file of the app's repository at the pinned commit as a Set of paths
+    // from the repository root, or null if the tree cannot be read
+    async function listFiles(app) {
+        if (sourcesDir) {
+            const files = listLocalClone(sourcesDir, app);
+            if (files) {
+                return files;
+            }
+        }
+
+        const cachePath = cacheDir ? getTreeCachePath(cacheDir, app) : null;
+        if (cachePath && fs.existsSync(cachePath)) {
+            return new Set(JSON.parse(fs.readFileSync(cachePath, 'utf8')));
+        }
+
+        if (offline) {
+            return null;
+        }
+
+        const files = await getRepositoryFiles(app.owner, app.repo, app.commit);
+        if (files && cachePath) {
+            fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+            fs.writeFileSync(cachePath, JSON.stringify(Array.from(files).sort()));
+        }
+        return files;
+    }
+
+    return { resolve, read, listFiles };
+}
+
+// Function to collect the file details of a previous release, keyed by blob key
+// Theme variants keep their file details on each variant
+function getKnownFiles(releasedApps) {
+    const knownFiles = new Map();
+
+    for (const app of Array.from(releasedApps.values()).flatMap(getFileSets)) {
+        if (!Array.isArray(app['resolved-files']) || !app.owner || !app.repo || !app.commit || !app.path) {
+            continue;
+        }
+        for (const file of app['resolved-files']) {
+            if (typeof file.size !== 'number' || typeof file.sha256 !== 'string') {
+                continue;
+            }
+
+            // Scripts released before module detection are read again to find their modules
+            const repositoryPath = getRepositoryPath(app.path, file.source);
+            const details = { size: file.size, sha256: file.sha256 };
+            if (isScriptFile(repositoryPath)) {
+                if (!Array.isArray(file.modules)) {
+                    continue;
+                }
+                details.modules = file.modules;
+            }
+            knownFiles.set(getBlobKey(app, repositoryPath), details);
+        }
+    }
+
+    return knownFiles;
+}
+
+// Function to resolve every files entry of an app
+// Returns { files: [{ source, destination, size, sha256, modules? }], totalSize, modules }, or null if any file could not be read
+// modules lists every Bruce module the app's scripts require()
+async function resolveAppFiles(app, resolver) {
+    const files = [];
+
+    for (const file of app.files || []) {
+        if (isPatternEntry(file)) {
+            console.warn(`⚠️ ${app.slug}: '${file}' has not been expanded into the files it matches`);
+            return null;
+        }
+
+        const { source, destination, repositoryPath } = resolveFileEntry(app, file);
+        const details = await resolver.resolve(app, repositoryPath);
+        if (!details) {
+            console.warn(`⚠️ ${app.slug}: could not resolve '${source}' at ${app.commit.substring(0, 7)}`);
+            return null;
+        }
+        files.push({ source, destination, ...details });
+    }
+
+    return {
+        files,
+        totalSize: files.reduce((total, file) => total + file.size, 0),
+        modules: Array.from(new Set(files.flatMap(file => file.modules || []))).sort()
+    };
+}
+
+module.exports = {
+    RAW_CONTENT_URL,
+    getRepositoryPath,
+    resolveFileEntry,
+    createSourceResolver,
+    getKnownFiles,
+    resolveAppFiles
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR } = require('./catalog');
+const { validateSchema } = require('./json-schema');
+const { formatSchemaError } = require('./metadata-schema');
+const { resolveFileEntry } = require('./sources');
+
+// Schema of the theme JSON a theme installs, as loaded by the Bruce firmware
+const THEME_SCHEMA_PATH = path.join(ROOT_DIR, 'theme.schema.json');
+
+let themeSchema = null;
+
+// Function to load theme.schema.json (cached)
+function loadThemeSchema() {
+    if (!themeSchema) {
+        themeSchema = JSON.parse(fs.readFileSync(THEME_SCHEMA_PATH, 'utf8'));
+    }
+    return themeSchema;
+}
+
+// Function to list the theme keys that name an image file
+function getImageKeys(schema = loadThemeSchema()) {
+    return Object.keys(schema.properties).filter(key => schema.properties[key].$ref === '#/definitions/image');
+}
+
+// Function to normalize a file name relative to the theme folder ("./a.gif" and "/a.gif" are "a.gif")
+function normalizeThemePath(file) {
+    return file.replace(/^(\.?\/)+/, '');
+}
+
+// Function to get the installed files of a theme, keyed by their path in the theme folder
+// Returns Map of destination to { source, destination, repositoryPath }
+function getInstalledFiles(metadata) {
+    const installed = new Map();
+
+    for (const file of Array.isArray(metadata.files) ? metadata.files : []) {
+        const isEntry = typeof file === 'string' || (file && typeof file.source === 'string' && typeof file.destination === 'string');
+        if (isEntry) {
+            const entry = resolveFileEntry(metadata, file);
+            installed.set(normalizeThemePath(entry.destination), entry);
+        }
+    }
+
+    return installed;
+}
+
+// Function to find the theme JSON files among the installed files of a theme
+function findThemeFiles(metadata) {
+    return Array.from(getInstalledFiles(metadata).values()).filter(entry => /\.json$/i.test(entry.destination));
+}
+
+// Function to validate a parsed theme JSON against theme.schema.json and the theme's files
+// Returns { errors, warnings, images } where images lists the referenced images
+// as [{ key, file, repositoryPath }] for the dimension checks
+function validateThemePayload(theme, metadata) {
+    const schema = loadThemeSchema();
+    const errors = validateSchema(schema, theme).map(formatSchemaError);
+    const warnings = [];
+    const images = [];
+
+    if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+        return { errors, warnings, images };
+    }
+
+    for (const key of Object.keys(theme).filter(key => !(key in schema.properties))) {
+        warnings.push(`Unknown theme key \`${key}\` is ignored by the firmware`);
+    }
+
+    // Every referenced file must be installed next to the theme JSON
+    const installed = getInstalledFiles(metadata);
+    const referenced = new Set();
+    for (const key of [...getImageKeys(schema), 'boot_sound']) {
+        if (typeof theme[key] !== 'string' || theme[key] === '') {
+            continue;
+        }
+
+        const file = normalizeThemePath(theme[key]);
+        referenced.add(file);
+        const entry = installed.get(file);
+        if (!entry) {
+            errors.push(`\`${key}\` references \`${theme[key]}\`, which is not listed in files`);
+        } else if (key !== 'boot_sound' && /\.(gif|png)$/i.test(file)) {
+            images.push({ key, file, repositoryPath: entry.repositoryPath });
+        }
+    }
+
+    for (const file of installed.keys()) {
+        if (/\.(gif|png)$/i.test(file) && !referenced.has(file)) {
+            warnings.push(`\`${file}\` is listed in files but not referenced by the theme`);
+        }
+    }
+
+    return { errors, warnings, images };
+}
+
+module.exports = {
+    THEME_SCHEMA_PATH,
+    loadThemeSchema,
+    getImageKeys,
+    findThemeFiles,
+    validateThemePayload
+};
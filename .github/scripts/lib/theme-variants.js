@@ -0,0 +1,46 @@
+// Function to check whether an app is a theme (category `Themes`, or the singular `Theme`)
+function isTheme(app) {
+    return app.category === 'Themes' || app.category === 'Theme';
+}
+
+// Function to check whether a theme declares resolution variants
+function hasVariants(app) {
+    return Array.isArray(app.variants);
+}
+
+// Function to get the installable file sets of an app
+// A theme with variants has one per variant: the shared metadata with that variant's
+// supported-screen-size, path and files. Anything else is its own single file set
+function getFileSets(app) {
+    if (!hasVariants(app)) {
+        return [app];
+    }
+
+    const { variants, ...shared } = app;
+    return variants.map(variant => ({ ...shared, ...variant }));
+}
+
+// Function to get every screen size a theme is published for
+function getThemeScreenSizes(app) {
+    return getFileSets(app).map(fileSet => fileSet['supported-screen-size']).filter(Boolean);
+}
+
+// Function to find the file set of a theme made for a screen size (null if there is none)
+function findVariant(app, screenSize) {
+    return getFileSets(app).find(fileSet => fileSet['supported-screen-size'] === screenSize) || null;
+}
+
+// Function to list the screen sizes declared by more than one variant
+function findDuplicateScreenSizes(variants) {
+    const sizes = variants.map(variant => variant && variant['supported-screen-size']).filter(Boolean);
+    return Array.from(new Set(sizes.filter((size, index) => sizes.indexOf(size) !== index)));
+}
+
+module.exports = {
+    isTheme,
+    hasVariants,
+    getFileSets,
+    getThemeScreenSizes,
+    findVariant,
+    findDuplicateScreenSizes
+};
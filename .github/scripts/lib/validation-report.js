@@ -0,0 +1,215 @@
+const { VALIDATION_CHECKS } = require('./validation-result');
+const { formatChangeSummary } = require('./review-diff');
+
+// How each check severity is shown in the console and the PR comment
+const SEVERITY_ICONS = {
+    pass: '✅',
+    info: 'ℹ️',
+    warning: '⚠️ ',
+    error: '❌'
+};
+
+// SARIF result level of each severity that is reported as a finding
+const SARIF_LEVELS = {
+    error: 'error',
+    warning: 'warning'
+};
+
+// Function to format the checks of a validation result as the indented validation steps
+function formatConsoleReport(result) {
+    const lines = [];
+    let currentFile;
+    let currentStep;
+
+    for (const check of result.checks) {
+        if (check.file !== currentFile) {
+            currentFile = check.file;
+            currentStep = null;
+            lines.push(`  - 📄 \`${check.file}\``);
+        }
+        if (check.step !== currentStep) {
+            currentStep = check.step;
+            if (currentStep) {
+                lines.push(`    - 🔍 ${currentStep}...`);
+            }
+        }
+        lines.push(`${currentStep ? '      ' : '    '}- ${SEVERITY_ICONS[check.severity]} ${check.message}`);
+    }
+
+    lines.push(result.valid ? '  - ✅ All validation checks passed' : `  - ❌ ${result.checks.filter(check => check.severity === 'error').length} check(s) failed`);
+    return lines.join('\n');
+}
+
+// Function to format the problems of a validation result as a markdown list with fix hints
+// Risky script operations are left out, they have their own Security Review section
+function formatProblems(result) {
+    const problems = result.checks.filter(check => (check.severity === 'error' || check.severity === 'warning') && check.id !== 'script.security');
+    if (problems.length === 0) {
+        return '';
+    }
+
+    let markdown = '\n**Problems:**\n\n';
+    for (const check of problems) {
+        // Schema errors already name their location
+        const location = check.field && !check.message.includes(`\`/${check.field}\``) ? ` (\`${check.field}\`)` : '';
+        markdown += `- ${SEVERITY_ICONS[check.severity].trim()} ${check.message}${location}\n  💡 ${check.hint}\n`;
+    }
+    return markdown;
+}
+
+// Function to format the PR comment section of one app: its details, problems and validation steps
+function formatAppSection(result) {
+    const { app } = result;
+    let markdown = `### ${app ? app.name : result.directory} (${result.directory})\n`;
+    markdown += `${result.valid ? '✅ **Validation Passed**' : '❌ **Validation Failed**'}\n`;
+
+    if (app) {
+        markdown += `- **Repository:** [${app.owner}/${app.repo}](https://github.com/${app.owner}/${app.repo})\n`;
+        if (app.variants) {
+            markdown += `- **Variants:** ${app.variants.map(variant => `${variant['supported-screen-size']} (\`${variant.path}\`)`).join(', ')}\n`;
+        } else {
+            markdown += `- **Path:** \`${app.path}\`\n`;
+        }
+        markdown += `- **Version:** ${app.versionStatus}\n`;
+        markdown += `- **Category:** ${app.category}\n`;
+        if (app.logo) {
+            markdown += `- **Logo:** ${app.logo}\n`;
+        }
+
+        // Check for cross-repository contribution
+        if (app.crossRepositoryAuthor) {
+            markdown += `- **⚠️ Cross-Repository Contribution:** PR by \`${app.crossRepositoryAuthor}\`, repository owned by \`${app.owner}\`\n`;
+        }
+
+        if (app.modules.length > 0) {
+            markdown += `- **Bruce Modules:** ${app.modules.map(name => `\`${name}\``).join(', ')}\n`;
+        }
+        if (app.unsupportedFeatures.length > 0) {
+            markdown += `- **⚠️ Unsupported JS Features:** ${app.unsupportedFeatures.join(', ')}\n`;
+        }
+    }
+    if (result.securityFindings.length > 0) {
+        markdown += `- **🛡️ Security Review:** ${result.securityFindings.length} risky operation(s) found, see the Security Review section\n`;
+    }
+
+    if (app && app.compareLink) {
+        markdown += `- **Changes:** [View commit comparison](${app.compareLink})\n`;
+    }
+    if (app && app.changes) {
+        markdown += formatChangeSummary(app.changes);
+    }
+
+    markdown += formatProblems(result);
+    markdown += '\n<details>\n<summary>🔍 Validation Steps (click to expand)</summary>\n\n';
+    markdown += formatConsoleReport(result);
+    markdown += '\n</details>\n\n';
+    return markdown;
+}
+
+// Function to build a SARIF 2.1.0 log of the errors and warnings of validation results
+// Findings point at the app's metadata.json or logo.png, at the field's range when known
+function toSarif(results) {
+    const usedRules = new Set();
+    const sarifResults = [];
+
+    for (const result of results) {
+        for (const check of result.checks.filter(check => SARIF_LEVELS[check.severity])) {
+            usedRules.add(check.id);
+            const region = { startLine: check.line || 1 };
+            if (check.column) {
+                region.startColumn = check.column;
+            }
+            if (check.endLine) {
+                region.endLine = check.endLine;
+                region.endColumn = check.endColumn;
+            }
+            const location = {
+                physicalLocation: {
+                    artifactLocation: { uri: `${result.directory}/${check.file}`.replace(/\\/g, '/') },
+                    region
+                }
+            };
+            sarifResults.push({
+                ruleId: check.id,
+                level: SARIF_LEVELS[check.severity],
+                message: { text: `${check.message.replace(/`/g, '')}\n${check.hint}` },
+                locations: [location]
+            });
+        }
+    }
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'bruce-app-store-validator',
+                    informationUri: 'https://github.com/BruceDevices/App-Store-Data#-validation-requirements',
+                    rules: Object.keys(VALIDATION_CHECKS).filter(id => usedRules.has(id)).map(id => ({
+                        id,
+                        shortDescription: { text: VALIDATION_CHECKS[id].description },
+                        help: { text: VALIDATION_CHECKS[id].hint }
+                    }))
+                }
+            },
+            results: sarifResults
+        }]
+    };
+}
+
+// GitHub Check Run annotation level of each severity that is reported as a finding
+const ANNOTATION_LEVELS = {
+    error: 'failure',
+    warning: 'warning'
+};
+
+// Function to build the GitHub Check Run annotations of the errors and warnings of validation results
+// Columns are only sent for single-line ranges, GitHub rejects them otherwise; its end column is inclusive
+function toCheckRunAnnotations(results) {
+    const annotations = [];
+
+    for (const result of results) {
+        for (const check of result.checks.filter(check => ANNOTATION_LEVELS[check.severity])) {
+            const startLine = check.line || 1;
+            const endLine = check.endLine || startLine;
+            const annotation = {
+                path: `${result.directory}/${check.file}`.replace(/\\/g, '/'),
+                start_line: startLine,
+                end_line: endLine,
+                annotation_level: ANNOTATION_LEVELS[check.severity],
+                title: `${check.id}: ${VALIDATION_CHECKS[check.id].description}`,
+                message: `${check.message.replace(/`/g, '')}\n${check.hint}`
+            };
+            if (check.column && startLine === endLine) {
+                annotation.start_column = check.column;
+                annotation.end_column = check.endColumn ? Math.max(check.column, check.endColumn - 1) : check.column;
+            }
+            annotations.push(annotation);
+        }
+    }
+
+    return annotations;
+}
+
+// Function to build the JSON report of validation results
+function toJsonReport(results, extra = {}) {
+    const failed = results.filter(result => !result.valid);
+    return {
+        success: failed.length === 0,
+        ...extra,
+        total: results.length,
+        passed: results.length - failed.length,
+        failed: failed.length,
+        results
+    };
+}
+
+module.exports = {
+    SEVERITY_ICONS,
+    formatConsoleReport,
+    formatAppSection,
+    toSarif,
+    toCheckRunAnnotations,
+    toJsonReport
+};
@@ -0,0 +1,119 @@
+const { findPointerRange } = require('./json-source-map');
+
+// Every check the validator reports, by id, with what it verifies and how to fix a failure
+// The ids are stable: they are the rule ids in the SARIF output and the JSON artifact
+const VALIDATION_CHECKS = {
+    'metadata.exists': { description: 'metadata.json exists in the app folder', hint: 'Add a metadata.json next to logo.png' },
+    'metadata.json': { description: 'metadata.json is valid JSON', hint: 'Fix the JSON syntax, e.g. trailing commas or missing quotes' },
+    'metadata.schema': { description: 'metadata.json matches metadata.schema.json', hint: 'See the Creating metadata.json section of the README for the field format' },
+    'metadata.required': { description: 'Required fields are present', hint: 'Add all required fields to metadata.json' },
+    'metadata.version': { description: 'Version uses semantic versioning', hint: 'Use a version like "1.0.0"' },
+    'metadata.commit': { description: 'Commit is a full SHA that exists in the repository', hint: 'Use the full 40-character hash of a commit pushed to the repository' },
+    'metadata.category': { description: 'Category is listed in categories.json', hint: 'Use one of the categories listed in the README' },
+    'metadata.screen-size': { description: 'Theme screen size is valid', hint: 'Use the format "widthxheight", e.g. "320x170"' },
+    'metadata.variants': { description: 'Every theme variant targets a different screen size', hint: 'Give each variant a different supported-screen-size' },
+    'metadata.devices': { description: 'supported-devices names devices from devices.json', hint: 'Use device names, aliases or a regex matching devices.json' },
+    'metadata.requires': { description: 'requires lists known capabilities', hint: 'Use capabilities defined in devices.schema.json' },
+    'metadata.compatibility': { description: 'At least one device meets the app requirements', hint: 'Relax requires, min-screen-size or supported-devices' },
+    'metadata.firmware': { description: 'min-firmware and js-api-level match firmware-versions.json', hint: 'Use a release line and API level listed in firmware-versions.json' },
+    'metadata.folder': { description: 'The app folder is repositories/<owner>/<repo>/<app>', hint: 'Move the app folder under repositories/<owner>/<repo>/' },
+    'metadata.version-history': { description: 'Updates increment the version and commit', hint: 'Increase the version and point commit at the new release' },
+    'metadata.changes': { description: 'Changes since the previous commit are summarized for the reviewer', hint: 'No action needed' },
+    'files.array': { description: 'files is a list of installable files', hint: 'List the files to install, see the Files Array section of the README' },
+    'files.exist': { description: 'Every file exists at the commit', hint: 'Check the file names, path and commit, then update metadata.json' },
+    'files.pattern': { description: 'Every directory and glob entry matches files at the commit', hint: 'Check the pattern, path and commit, or list the files one by one' },
+    'files.tree': { description: 'The repository tree can be read at the commit', hint: 'Make sure the repository is public and the commit is pushed' },
+    'files.paths': { description: 'path, sources and destinations are safe to read and install', hint: 'See the Files Array section of the README for the path rules' },
+    'files.collision': { description: 'No other app installs a file to the same path on a device', hint: 'Rename the destination, e.g. prefix it with the app name' },
+    'script.syntax': { description: 'Scripts parse without syntax errors', hint: 'Fix the script, push it and update commit' },
+    'script.modules': { description: 'Scripts require built-in Bruce modules', hint: 'Only require modules the Bruce firmware provides' },
+    'script.features': { description: 'Scripts only use features the Bruce JS interpreter supports', hint: 'Rewrite the code without the unsupported feature' },
+    'script.security': { description: 'Risky script operations are flagged for review', hint: 'Explain the operation in the pull request so the reviewer can confirm it' },
+    'theme.payload': { description: 'The theme JSON matches theme.schema.json', hint: 'See the Theme Files section of the README' },
+    'theme.images': { description: 'Theme images fit the theme screen size', hint: 'Resize the image for the theme screen size' },
+    'logo.exists': { description: 'logo.png exists in the app folder', hint: 'Add a 128x128 logo.png next to metadata.json' },
+    'logo.format': { description: 'logo.png meets the logo requirements', hint: 'See the Creating logo.png section of the README' }
+};
+
+// Function to create an empty validation result for an app directory
+// Checks are { id, severity, message, file, step, field?, line?, column?, endLine?, endColumn?, hint? }
+// where severity is 'pass', 'info', 'warning' or 'error', file is the app file the check belongs to,
+// step is the heading it is shown under (null for none) and field is the JSON pointer of the metadata
+// value it concerns (without the leading slash); the position is where that value is in metadata.json
+function createValidationResult(directory) {
+    return {
+        directory,
+        valid: true,
+        metadataFound: false,
+        hasInvalidMetadata: false,
+        hasMissingLogo: false,
+        app: null,
+        securityFindings: [],
+        checks: []
+    };
+}
+
+// Function to create a recorder that adds checks to a validation result
+// file() and step() set the file and heading of the checks that follow, setMetadataPointers()
+// the source map of metadata.json used to locate the fields of its checks
+function createCheckRecorder(result) {
+    let currentFile = null;
+    let currentStep = null;
+    let metadataPointers = null;
+
+    // Function to add a check; extra may set field, hint or a position (line and column)
+    const add = (severity, id, message, extra = {}) => {
+        if (!VALIDATION_CHECKS[id]) {
+            throw new Error(`Unknown validation check: ${id}`);
+        }
+
+        const check = { id, severity, message, file: currentFile, step: currentStep };
+        if (extra.field) {
+            check.field = extra.field;
+        }
+        const range = extra.line
+            ? { line: extra.line, column: extra.column }
+            : (extra.field && currentFile === 'metadata.json' && metadataPointers ? findPointerRange(metadataPointers, extra.field) : null);
+        if (range) {
+            for (const key of ['line', 'column', 'endLine', 'endColumn']) {
+                if (range[key]) {
+                    check[key] = range[key];
+                }
+            }
+        }
+        if (severity === 'error' || severity === 'warning') {
+            check.hint = extra.hint || VALIDATION_CHECKS[id].hint;
+        }
+        if (severity === 'error') {
+            result.valid = false;
+        }
+        result.checks.push(check);
+        return check;
+    };
+
+    return {
+        file(name) {
+            currentFile = name;
+            currentStep = null;
+        },
+        step(title) {
+            currentStep = title;
+        },
+        setMetadataPointers(pointers) {
+            metadataPointers = pointers;
+        },
+        hasErrors() {
+            return result.checks.some(check => check.severity === 'error');
+        },
+        pass: (id, message, extra) => add('pass', id, message, extra),
+        info: (id, message, extra) => add('info', id, message, extra),
+        warning: (id, message, extra) => add('warning', id, message, extra),
+        error: (id, message, extra) => add('error', id, message, extra)
+    };
+}
+
+module.exports = {
+    VALIDATION_CHECKS,
+    createValidationResult,
+    createCheckRecorder
+};
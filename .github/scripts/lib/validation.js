@@ -0,0 +1,773 @@
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { verifyCommitExists, compareCommits } = require('./github');
+const { loadMetadataSchema, validateMetadataSchema, formatSchemaError } = require('./metadata-schema');
+const { ROOT_DIR, loadValidCategories, compareVersions, getAppSlug, loadCatalog } = require('./catalog');
+const { resolveFileEntry, createSourceResolver } = require('./sources');
+const { analyzeScript, isScriptFile } = require('./js-analysis');
+const { scanScript } = require('./security-scan');
+const { summarizeChanges } = require('./review-diff');
+const { findThemeFiles, validateThemePayload } = require('./theme-payload');
+const { readImageInfo, findOversizedFrames } = require('./images');
+const { isTheme: isThemeApp, hasVariants, getFileSets, findDuplicateScreenSizes } = require('./theme-variants');
+const { describeLogo, checkLogo } = require('./logo');
+const { getInstallFolder, getInstallPath, getInstallPathKey } = require('./install-paths');
+const { checkAppPaths } = require('./path-safety');
+const { isPatternEntry, expandFileEntries, expandAppFiles, hasPatternEntries } = require('./file-patterns');
+const { findInstallCollisions } = require('./audit');
+const { RELEASES_DIR, readReleasedApps, expandCatalogApps } = require('./releases');
+const { createValidationResult, createCheckRecorder } = require('./validation-result');
+const { parseJsonWithPointers } = require('./json-source-map');
+const { loadFirmwareVersions, findFirmwareRelease, getLatestApiLevel, getFirmwareForApiLevel } = require('./firmware');
+const { loadDeviceRegistry, loadKnownCapabilities, findDevice, expandSupportedDevices, getCompatibleDevices } = require('./devices');
+
+// Function to execute git commands safely
+function gitCommand(command) {
+    try {
+        return execSync(command, { encoding: 'utf8', stdio: 'pipe' }).trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Function to load the device registry from devices.json, reporting an error if it cannot be loaded
+function loadSupportedDevices(checks) {
+    try {
+        return loadDeviceRegistry();
+    } catch (error) {
+        checks.error('metadata.devices', `Could not load \`devices.json\` - ${error.message}`, {
+            hint: 'Ensure `devices.json` exists and passes `node .github/scripts/validate-devices.js`'
+        });
+        return null;
+    }
+}
+
+const sourceResolvers = new Map(); // Offline mode -> resolver
+
+// Function to get the (cached) resolver reading submitted repositories from local clones
+// (RELEASE_SOURCES_DIR), the cache (RELEASE_CACHE_DIR) or, unless offline, GitHub
+function getSourceResolver(offline) {
+    if (!sourceResolvers.has(offline)) {
+        sourceResolvers.set(offline, createSourceResolver({
+            sourcesDir: process.env.RELEASE_SOURCES_DIR,
+            cacheDir: process.env.RELEASE_CACHE_DIR,
+            offline
+        }));
+    }
+    return sourceResolvers.get(offline);
+}
+
+const installedApps = new Map(); // Offline mode -> { apps, unexpanded }
+
+// Function to load every app in the catalog (cached) to compare install paths against, with
+// directory and glob entries expanded from the current release or the app's repository
+// Returns { apps, unexpanded } where unexpanded lists the slugs of apps that could not be expanded
+function loadInstalledApps(offline) {
+    if (!installedApps.has(offline)) {
+        const releasedApps = readReleasedApps(path.join(RELEASES_DIR, 'category-all.json'));
+        installedApps.set(offline, expandCatalogApps(loadCatalog().apps, releasedApps, getSourceResolver(offline)));
+    }
+    return installedApps.get(offline);
+}
+
+// Function to fetch a file of the submitted repository at the pinned commit (null if unavailable)
+// Offline, only local clones and the cache are read, nothing is downloaded
+async function readSubmittedFile(metadata, repositoryPath, offline = false) {
+    return getSourceResolver(offline).read(metadata, repositoryPath);
+}
+
+// Function to statically analyze a submitted script and record the results
+// Returns { modules, unsupportedFeatures, securityFindings } or null if the script could not be fetched
+async function reportScriptAnalysis(checks, metadata, repositoryPath, displayPath, offline = false) {
+    checks.step(`Analyzing script \`${displayPath}\``);
+    const content = await readSubmittedFile(metadata, repositoryPath, offline);
+    if (!content && offline) {
+        checks.warning('script.syntax', 'Skipped script analysis (offline mode)', { field: 'files', hint: 'Run without --offline to analyze the script' });
+        return null;
+    }
+    if (!content) {
+        checks.warning('script.syntax', `Could not fetch script at commit \`${metadata.commit}...\``, { field: 'files' });
+        return null;
+    }
+
+    const analysis = analyzeScript(content.toString('utf8'), repositoryPath);
+    if (analysis.syntaxError) {
+        const location = analysis.syntaxError.line ? ` at line ${analysis.syntaxError.line}` : '';
+        checks.error('script.syntax', `Syntax error${location}: ${analysis.syntaxError.message}`, { field: 'files' });
+    } else {
+        checks.pass('script.syntax', 'Syntax valid');
+    }
+
+    if (analysis.modules.length > 0) {
+        checks.info('script.modules', `Requires modules: ${analysis.modules.map(name => `\`${name}\``).join(', ')}`);
+    } else {
+        checks.info('script.modules', 'Requires no Bruce modules');
+    }
+    for (const name of analysis.unknownModules) {
+        checks.warning('script.modules', `\`${name}\` is not a built-in Bruce module`);
+    }
+    for (const line of analysis.dynamicRequires) {
+        checks.warning('script.modules', `require() without a string literal at line ${line} - the module cannot be detected`, {
+            hint: 'Pass the module name as a string literal'
+        });
+    }
+    for (const { description, line } of analysis.unsupportedFeatures) {
+        checks.warning('script.features', `Uses ${description} at line ${line}, which the Bruce JS interpreter does not support`);
+    }
+
+    // Risky behaviour is not an error, but it is flagged for the reviewer
+    const securityFindings = scanScript(content.toString('utf8'), metadata);
+    for (const { description, detail, line } of securityFindings) {
+        checks.warning('script.security', `Line ${line}: ${description} - ${detail}`);
+    }
+
+    return {
+        modules: analysis.modules,
+        unsupportedFeatures: analysis.unsupportedFeatures.map(feature => feature.description),
+        securityFindings: securityFindings.map(finding => ({ file: displayPath, ...finding }))
+    };
+}
+
+// Function to fetch and check the theme JSON of a theme and the images it references
+async function reportThemePayload(checks, metadata, repositoryFiles, offline = false) {
+    checks.step('Validating theme payload');
+    const themeFiles = findThemeFiles(metadata);
+    if (themeFiles.length === 0) {
+        checks.error('theme.payload', 'No theme JSON (.json) in files', { field: 'files' });
+        return;
+    }
+
+    const [maxWidth, maxHeight] = metadata['supported-screen-size'].split('x').map(Number);
+
+    for (const { destination, repositoryPath } of themeFiles.filter(file => repositoryFiles.has(file.repositoryPath))) {
+        const content = await readSubmittedFile(metadata, repositoryPath, offline);
+        if (!content) {
+            checks.warning('theme.payload', offline ? `Skipped theme file \`${destination}\` (offline mode)` : `Could not fetch theme file \`${destination}\``);
+            continue;
+        }
+
+        let theme;
+        try {
+            theme = JSON.parse(content.toString('utf8'));
+        } catch (error) {
+            checks.error('theme.payload', `Theme file \`${destination}\` is not valid JSON: ${error.message}`);
+            continue;
+        }
+
+        const result = validateThemePayload(theme, metadata);
+        for (const error of result.errors) {
+            checks.error('theme.payload', error);
+        }
+        for (const warning of result.warnings) {
+            checks.warning('theme.payload', warning);
+        }
+        if (result.errors.length === 0) {
+            checks.pass('theme.payload', `Theme file \`${destination}\` matches \`theme.schema.json\` and references ${result.images.length} installed image(s)`);
+        }
+
+        // Images must fit the screen the theme is made for
+        for (const { key, file, repositoryPath: imagePath } of result.images.filter(image => repositoryFiles.has(image.repositoryPath))) {
+            const imageContent = await readSubmittedFile(metadata, imagePath, offline);
+            if (!imageContent) {
+                checks.warning('theme.images', offline ? `Skipped image \`${file}\` (offline mode)` : `Could not fetch image \`${file}\``);
+                continue;
+            }
+
+            const info = readImageInfo(imageContent);
+            if (!info) {
+                checks.error('theme.images', `\`${key}\` image \`${file}\` is not a valid GIF or PNG`, { hint: 'Re-export the image as a GIF or PNG' });
+                continue;
+            }
+
+            const problems = findOversizedFrames(info, maxWidth, maxHeight);
+            if (problems.length > 0) {
+                checks.error('theme.images', `\`${key}\` image \`${file}\` does not fit ${metadata['supported-screen-size']}: ${problems.join(', ')}`);
+            } else {
+                checks.pass('theme.images', `\`${key}\` image \`${file}\` fits: ${info.width}x${info.height}, ${info.frames.length} frame(s)`);
+            }
+        }
+    }
+}
+
+// Function to replace the files arrays of an app with their expanded files
+// expansions maps a file set pointer ('' or '/variants/<index>') to the result of expandFileEntries
+function withExpandedFiles(metadata, expansions) {
+    if (hasVariants(metadata)) {
+        return {
+            ...metadata,
+            variants: metadata.variants.map((variant, index) => expansions.has(`/variants/${index}`)
+                ? { ...variant, files: expansions.get(`/variants/${index}`).files }
+                : variant)
+        };
+    }
+    return expansions.has('') ? { ...metadata, files: expansions.get('').files } : metadata;
+}
+
+// Function to point a JSON pointer into an expanded files array at the submitted entry it comes from
+// Files matched by a directory or glob entry point at that entry
+function toSubmittedPointer(pointer, metadata, expansions) {
+    const match = /^((?:\/variants\/\d+)?)\/files\/(\d+)(\/.*)?$/.exec(pointer);
+    if (!match || !expansions.has(match[1])) {
+        return pointer;
+    }
+
+    const index = expansions.get(match[1]).sourceIndexes[Number(match[2])];
+    return `${match[1]}/files/${index}${isPatternEntry(getSubmittedEntry(metadata, match[1], index)) ? '' : match[3] || ''}`;
+}
+
+// Function to get a submitted files entry by file set pointer and index
+function getSubmittedEntry(metadata, setPointer, index) {
+    const fileSet = setPointer ? metadata.variants[Number(setPointer.split('/')[2])] : metadata;
+    return fileSet.files[index];
+}
+
+// Function to validate JSON structure, recording the checks and the app details in result
+// Options:
+//   offline      - skip the GitHub commit and repository tree lookups
+//   checkHistory - compare against the base branch version (default: true)
+//   baseRef      - base branch to compare against (default: GITHUB_BASE_REF or main)
+// logoCheck is the result of checkLogo for the directory's logo.png
+async function validateMetadata(filePath, checks, result, prAuthor, logoCheck = null, options = {}) {
+    const { offline = false, checkHistory = true } = options;
+    let metadata;
+    try {
+        // Parsed with a source map so each check can point at the line of its field
+        const { data, pointers } = parseJsonWithPointers(fs.readFileSync(filePath, 'utf8'));
+        checks.setMetadataPointers(pointers);
+        metadata = data;
+    } catch (error) {
+        checks.error('metadata.json', `Invalid JSON format: ${error.message}`, { line: error.line, column: error.column });
+        return;
+    }
+    checks.pass('metadata.json', 'Valid JSON format');
+
+    // Structural checks are defined by metadata.schema.json
+    checks.step('Checking against `metadata.schema.json`');
+    const schemaErrors = validateMetadataSchema(metadata);
+    // Top-level fields with schema errors are skipped by the checks below
+    const invalidFields = new Set(schemaErrors.map(error => error.pointer.split('/')[1]).filter(Boolean));
+    const isValidField = field => field in metadata && !invalidFields.has(field);
+
+    if (schemaErrors.length === 0) {
+        checks.pass('metadata.schema', 'Metadata matches schema');
+    } else {
+        for (const error of schemaErrors) {
+            checks.error('metadata.schema', formatSchemaError(error), { field: error.pointer.slice(1) || null });
+        }
+    }
+
+    // Nothing else can be checked unless the document is a JSON object
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return;
+    }
+
+    // Required fields
+    const requiredFields = loadMetadataSchema().required;
+    checks.step('Checking required fields');
+    for (const field of requiredFields) {
+        if (isValidField(field)) {
+            checks.pass('metadata.required', `Field \`${field}\`: \`${metadata[field]}\``, { field });
+        }
+    }
+
+    // Validate field formats
+    checks.step('Validating fields');
+    if (isValidField('version')) {
+        checks.pass('metadata.version', `Version format valid: \`${metadata.version}\``, { field: 'version' });
+    }
+
+    if (isValidField('commit')) {
+        const commit = metadata.commit;
+        checks.pass('metadata.commit', `Commit hash format valid: \`${commit}...\``, { field: 'commit' });
+
+        // Verify commit exists on GitHub using owner/repo from metadata
+        if (offline) {
+            checks.warning('metadata.commit', 'Skipped commit verification (offline mode)', { hint: 'Run without --offline to verify the commit' });
+        } else if (isValidField('owner') && isValidField('repo')) {
+            const verification = await verifyCommitExists(metadata.owner, metadata.repo, commit);
+
+            if (verification.exists) {
+                checks.pass('metadata.commit', `Commit \`${commit}...\` exists on GitHub`, { field: 'commit' });
+            } else if (verification.status === 404) {
+                checks.error('metadata.commit', `Commit \`${commit}...\` not found in ${metadata.owner}/${metadata.repo}`, { field: 'commit' });
+            } else if (verification.error) {
+                checks.warning('metadata.commit', `Could not verify commit on GitHub: ${verification.error}`, { field: 'commit' });
+            } else {
+                checks.warning('metadata.commit', `Could not verify commit on GitHub (status: ${verification.status})`, { field: 'commit' });
+            }
+        } else {
+            checks.warning('metadata.commit', 'Cannot verify commit without owner/repo information', { field: 'commit' });
+        }
+    }
+
+    // Validate category (loaded from categories.json)
+    if (isValidField('category')) {
+        const category = metadata.category;
+        const validCategories = loadValidCategories();
+        if (!validCategories) {
+            checks.error('metadata.category', 'Could not load valid categories list', { hint: 'Ensure `categories.json` exists and is valid JSON' });
+        } else if (!validCategories.includes(category)) {
+            checks.error('metadata.category', `Category \`${category}\` is not in valid list: ${validCategories.join(', ')}`, { field: 'category' });
+        } else {
+            checks.pass('metadata.category', `Category valid: \`${category}\``, { field: 'category' });
+        }
+    }
+
+    // Theme/app specific fields are enforced by the schema; report the valid ones
+    const isTheme = isThemeApp(metadata);
+    if (isTheme && isValidField('supported-screen-size')) {
+        const screenSize = metadata['supported-screen-size'];
+        const [width, height] = screenSize.split('x').map(Number);
+        checks.pass('metadata.screen-size', `Screen size valid: \`${screenSize}\` (${width}x${height})`, { field: 'supported-screen-size' });
+    }
+
+    // Each variant of a theme must be made for a different screen size
+    if (isTheme && isValidField('variants')) {
+        const duplicateSizes = findDuplicateScreenSizes(metadata.variants);
+        if (duplicateSizes.length > 0) {
+            checks.error('metadata.variants', `More than one variant declares screen size: ${duplicateSizes.map(size => `\`${size}\``).join(', ')}`, { field: 'variants' });
+        } else {
+            checks.pass('metadata.variants', `${metadata.variants.length} variants: ${metadata.variants.map(variant => `\`${variant['supported-screen-size']}\``).join(', ')}`, { field: 'variants' });
+        }
+    }
+
+    // Validate supported-devices against the device registry (names and aliases)
+    if (!isTheme && isValidField('supported-devices')) {
+        const supportedDevices = metadata['supported-devices'];
+        const validDevices = loadSupportedDevices(checks);
+        const field = 'supported-devices';
+
+        if (!validDevices) {
+            // Already reported by loadSupportedDevices
+        } else if (Array.isArray(supportedDevices)) {
+            // Array of device names
+            const unknownDevices = supportedDevices.filter(device => !findDevice(device, validDevices));
+            for (const device of unknownDevices) {
+                checks.error('metadata.devices', `Device \`${device}\` is not in supported devices list`, { field });
+            }
+            if (unknownDevices.length === 0) {
+                checks.pass('metadata.devices', `All devices valid: \`${supportedDevices.join(', ')}\``, { field });
+            }
+        } else if (findDevice(supportedDevices, validDevices)) {
+            // Direct device name
+            checks.pass('metadata.devices', `Device valid: \`${supportedDevices}\``, { field });
+        } else {
+            // Try as regex pattern
+            try {
+                const matchingDevices = expandSupportedDevices(supportedDevices, validDevices).map(device => device.name);
+
+                if (matchingDevices.length > 0) {
+                    checks.pass('metadata.devices', `Regex pattern \`${supportedDevices}\` matches ${matchingDevices.length} devices: ${matchingDevices.join(', ')}`, { field });
+                } else {
+                    checks.error('metadata.devices', `Regex pattern \`${supportedDevices}\` doesn't match any devices`, { field });
+                }
+            } catch (regexError) {
+                checks.error('metadata.devices', `Invalid device name or regex pattern: \`${supportedDevices}\``, { field });
+            }
+        }
+    }
+
+    // Validate required capabilities and the minimum screen size against the device registry
+    if (!isTheme && isValidField('requires')) {
+        const knownCapabilities = loadKnownCapabilities();
+        const unknownCapabilities = metadata.requires.filter(capability => !knownCapabilities.includes(capability));
+
+        if (unknownCapabilities.length > 0) {
+            checks.error('metadata.requires', `Unknown capabilities in requires: \`${unknownCapabilities.join(', ')}\` (valid: ${knownCapabilities.join(', ')})`, { field: 'requires' });
+        } else {
+            checks.pass('metadata.requires', `Required capabilities valid: \`${metadata.requires.join(', ')}\``, { field: 'requires' });
+        }
+    }
+
+    const compatibilityFields = ['supported-devices', 'requires', 'min-screen-size'];
+    if (!isTheme && (isValidField('requires') || isValidField('min-screen-size')) &&
+        !compatibilityFields.some(field => invalidFields.has(field))) {
+        const validDevices = loadSupportedDevices(checks);
+
+        if (validDevices) {
+            const compatibleDevices = getCompatibleDevices(metadata, validDevices).map(device => device.name);
+            const field = isValidField('requires') ? 'requires' : 'min-screen-size';
+
+            if (compatibleDevices.length > 0) {
+                checks.pass('metadata.compatibility', `Compatible with ${compatibleDevices.length} devices: ${compatibleDevices.join(', ')}`, { field });
+            } else {
+                checks.error('metadata.compatibility', 'No device in devices.json matches supported-devices, requires and min-screen-size', { field });
+            }
+        }
+    }
+
+    // Validate min-firmware and js-api-level against firmware-versions.json
+    if (isValidField('min-firmware') || isValidField('js-api-level')) {
+        let versions = null;
+        try {
+            versions = loadFirmwareVersions();
+        } catch (error) {
+            checks.error('metadata.firmware', `Could not load \`firmware-versions.json\` - ${error.message}`, { hint: 'Ensure `firmware-versions.json` exists and is valid' });
+        }
+
+        if (versions) {
+            const release = isValidField('min-firmware') ? findFirmwareRelease(metadata['min-firmware'], versions) : null;
+            const latestApiLevel = getLatestApiLevel(versions);
+
+            if (isValidField('min-firmware')) {
+                const field = 'min-firmware';
+                if (release) {
+                    checks.pass('metadata.firmware', `Minimum firmware valid: \`${metadata['min-firmware']}\` (JS API level ${release['js-api-level']})`, { field });
+                } else {
+                    checks.error('metadata.firmware', `Firmware \`${metadata['min-firmware']}\` is not a release listed in firmware-versions.json: ${versions.map(entry => entry.version).join(', ')}`, { field });
+                }
+            }
+
+            if (isValidField('js-api-level')) {
+                const apiLevel = metadata['js-api-level'];
+                const field = 'js-api-level';
+                if (apiLevel > latestApiLevel) {
+                    checks.error('metadata.firmware', `JS API level \`${apiLevel}\` is higher than the latest firmware provides (${latestApiLevel})`, { field });
+                } else if (release && apiLevel > release['js-api-level']) {
+                    checks.error('metadata.firmware', `JS API level \`${apiLevel}\` needs firmware ${getFirmwareForApiLevel(apiLevel, versions)} or newer, but min-firmware is \`${metadata['min-firmware']}\``, {
+                        field,
+                        hint: 'Raise `min-firmware` or lower `js-api-level`'
+                    });
+                } else {
+                    checks.pass('metadata.firmware', `JS API level valid: \`${apiLevel}\` (firmware ${getFirmwareForApiLevel(apiLevel, versions)} or newer)`, { field });
+                }
+            }
+        }
+    }
+
+    // Validate folder structure matches /repositories/owner/reponame/ format
+    checks.step('Checking folder structure');
+    if (isValidField('owner') && isValidField('repo')) {
+        const expectedPath = `repositories/${metadata.owner}/${metadata.repo}`;
+        const actualPath = path.dirname(filePath).replace(/\\/g, '/'); // Normalize path separators
+
+        if (actualPath.includes(expectedPath)) {
+            checks.pass('metadata.folder', `Folder structure valid: contains \`${expectedPath}\``);
+        } else {
+            checks.error('metadata.folder', `Folder structure invalid: expected path containing \`${expectedPath}\`, got \`${actualPath}\``, { field: 'owner' });
+        }
+    } else {
+        checks.warning('metadata.folder', 'Cannot validate folder structure without owner/repo information');
+    }
+
+    // Validate files array if present (entry shapes are checked by the schema)
+    // Scripts that exist at the commit are also fetched and statically analyzed
+    // A theme with variants has a path and files array per variant, each checked on its own
+    const scriptModules = new Set();
+    const scriptFeatures = new Set();
+    const fileSets = getFileSets(metadata).map((fileSet, index) => {
+        const pointer = hasVariants(metadata) ? `/variants/${index}` : '';
+        const isValid = field => hasVariants(metadata)
+            ? !schemaErrors.some(error => error.pointer === pointer || error.pointer.startsWith(`${pointer}/`))
+            : isValidField(field);
+        return {
+            fileSet,
+            pointer,
+            label: hasVariants(metadata) ? ` of variant \`${fileSet['supported-screen-size']}\`` : '',
+            pathValid: isValid('path'),
+            screenSizeValid: isValid('supported-screen-size')
+        };
+    });
+
+    const expansions = new Map(); // File set pointer -> { files, sourceIndexes } once directory and glob entries are expanded
+    for (const { fileSet, pointer, label, pathValid, screenSizeValid } of fileSets.filter(({ fileSet }) => Array.isArray(fileSet.files))) {
+        const field = pointer ? `${pointer.slice(1)}/files` : 'files';
+        checks.step(`Validating files array${label}`);
+        checks.pass('files.array', `Files field is a valid array with ${fileSet.files.length} entries`, { field });
+
+        // Check each file exists in the repository at the specified commit
+        if (!(isValidField('owner') && isValidField('repo') && isValidField('commit') && pathValid)) {
+            checks.warning('files.tree', 'Cannot verify files without owner/repo/commit information', { field });
+            continue;
+        }
+
+        // Offline, the tree and files can still come from a local clone or the cache
+        const repositoryFiles = await getSourceResolver(offline).listFiles(metadata);
+        if (!repositoryFiles && offline) {
+            checks.warning('files.tree', 'Skipped file verification (offline mode)', { hint: 'Run without --offline, or point RELEASE_SOURCES_DIR at a local clone, to verify the files' });
+            if (fileSet.files.some(isPatternEntry)) {
+                checks.warning('files.pattern', 'Skipped expanding directory and glob entries (offline mode)', { field, hint: 'Run without --offline to list the files they match' });
+            }
+            continue;
+        }
+        if (!repositoryFiles) {
+            checks.warning('files.tree', 'Could not verify files - repository tree unavailable', { field: 'commit' });
+            continue;
+        }
+        checks.pass('files.tree', `Repository tree loaded (${repositoryFiles.size} files)`);
+
+        // Directory and glob entries stand for the files they match, which the release lists one by one
+        const isMalformed = index => schemaErrors.some(error => error.pointer === `${pointer}/files/${index}`);
+        const expansion = expandFileEntries(fileSet, repositoryFiles);
+        const expandedFileSet = { ...fileSet, files: expansion.files };
+        expansions.set(pointer, expansion);
+        for (const { index, pattern, matches } of expansion.patterns.filter(({ index }) => !isMalformed(index))) {
+            if (matches.length === 0) {
+                checks.error('files.pattern', `\`${pattern}\` matches no files at commit \`${metadata.commit}...\``, { field: `${field}/${index}` });
+            } else {
+                checks.pass('files.pattern', `\`${pattern}\` matches ${matches.length} file(s)`, { field: `${field}/${index}` });
+            }
+        }
+
+        for (const [expandedIndex, file] of expansion.files.entries()) {
+            // Malformed entries have already been reported by the schema check
+            const index = expansion.sourceIndexes[expandedIndex];
+            if (isMalformed(index)) {
+                continue;
+            }
+
+            // String entries are installed as-is, objects map a source to a destination
+            const { repositoryPath } = resolveFileEntry(fileSet, file);
+            const displayPath = typeof file === 'string' ? file : `${file.source} → ${file.destination}`;
+
+            // Check if file exists in the repository tree (files matched by a pattern always do)
+            if (!isPatternEntry(fileSet.files[index])) {
+                if (!repositoryFiles.has(repositoryPath)) {
+                    checks.error('files.exist', `File not found at commit \`${metadata.commit}...\`: \`${displayPath}\` (expected path: ${repositoryPath})`, { field: `${field}/${index}` });
+                    continue;
+                }
+                checks.pass('files.exist', `File exists at commit: \`${displayPath}\` (path: ${repositoryPath})`, { field: `${field}/${index}` });
+            }
+
+            // Scripts may write to any file the app installs, those matched by a pattern included
+            if (isScriptFile(repositoryPath)) {
+                const analysis = await reportScriptAnalysis(checks, expandedFileSet, repositoryPath, displayPath, offline);
+                checks.step(`Validating files array${label}`);
+                if (analysis) {
+                    analysis.modules.forEach(name => scriptModules.add(name));
+                    analysis.unsupportedFeatures.forEach(feature => scriptFeatures.add(feature));
+                    result.securityFindings.push(...analysis.securityFindings);
+                }
+            }
+        }
+
+        // Themes also have their theme JSON and images checked
+        if (isTheme && screenSizeValid) {
+            await reportThemePayload(checks, expandedFileSet, repositoryFiles, offline);
+        }
+    }
+
+    // Paths are read from the submitted repository and destinations written to the device's SD card,
+    // inside a folder other apps share, so they must pass the path safety rules and not overwrite
+    // the files of another app that can be installed on the same device
+    // Directory and glob entries are checked as the files they match, reported on the entry that matched them
+    const destinationSets = fileSets.filter(({ fileSet }) => Array.isArray(fileSet.files));
+    if (destinationSets.length > 0) {
+        checks.step('Checking paths');
+        const expandedMetadata = withExpandedFiles(metadata, expansions);
+        const isReported = pointer => schemaErrors.some(error => error.pointer && (pointer === error.pointer || pointer.startsWith(`${error.pointer}/`)));
+
+        // Expanded directory and glob entries are also checked themselves, as sources
+        const isExpandedPattern = pointer => {
+            const match = /^((?:\/variants\/\d+)?)\/files\/(\d+)$/.exec(pointer);
+            return Boolean(match) && expansions.has(match[1]) && isPatternEntry(getSubmittedEntry(metadata, match[1], Number(match[2])));
+        };
+        const pathProblems = [
+            ...checkAppPaths(metadata).filter(problem => isExpandedPattern(problem.pointer)),
+            ...checkAppPaths(expandedMetadata).map(problem => ({ ...problem, pointer: toSubmittedPointer(problem.pointer, metadata, expansions) }))
+        ].filter(problem => !isReported(problem.pointer));
+        for (const { message, pointer } of pathProblems) {
+            checks.error('files.paths', message, { field: pointer.slice(1) });
+        }
+        if (pathProblems.length === 0) {
+            checks.pass('files.paths', 'Path and files entries are safe to install');
+        }
+
+        // Destinations, to point collisions at the entry installing the path
+        const installFields = new Map(); // Install path key -> field of the first entry installing it
+        for (const [setIndex, fileSet] of getFileSets(expandedMetadata).entries()) {
+            const pointer = hasVariants(metadata) ? `/variants/${setIndex}` : '';
+            if (!Array.isArray(fileSet.files) || !isValidField('name') || !isValidField('category')) {
+                continue;
+            }
+
+            for (const [index, file] of fileSet.files.entries()) {
+                const entryPointer = toSubmittedPointer(`${pointer}/files/${index}`, metadata, expansions);
+                if (isReported(entryPointer) || isPatternEntry(file)) {
+                    continue;
+                }
+
+                const field = `${entryPointer.slice(1)}${typeof file === 'string' ? '' : '/destination'}`;
+                const key = getInstallPathKey(getInstallPath(metadata, resolveFileEntry(fileSet, file).destination));
+                if (!installFields.has(key)) {
+                    installFields.set(key, field);
+                }
+            }
+        }
+
+        // Collisions need the devices the app can be installed on
+        const canCheckCollisions = isValidField('name') && isValidField('category') &&
+            !['supported-devices', 'requires', 'min-screen-size', 'supported-screen-size', 'variants'].some(field => invalidFields.has(field));
+        const devices = canCheckCollisions ? loadSupportedDevices(checks) : null;
+        if (devices) {
+            const slug = getAppSlug(filePath, metadata);
+            const { apps, unexpanded } = await loadInstalledApps(offline);
+            const { collisions, unchecked } = findInstallCollisions({ ...expandedMetadata, slug }, apps, devices, unexpanded);
+            for (const { path: installPath, slug: otherSlug, device } of collisions) {
+                checks.error('files.collision', `\`${installPath}\` is also installed by \`${otherSlug}\` on ${device}`, {
+                    field: installFields.get(getInstallPathKey(installPath))
+                });
+            }
+            for (const { slug: otherSlug, device } of unchecked) {
+                checks.warning('files.collision', `Could not check the files \`${otherSlug}\` installs through directory or glob entries on ${device}`, {
+                    hint: 'Its repository files could not be listed; run without --offline or once the release lists its files'
+                });
+            }
+            if (collisions.length === 0) {
+                checks.pass('files.collision', `Install paths do not collide with other apps (installed in \`${getInstallFolder(metadata)}\`)`);
+            }
+        }
+    }
+
+    // Check for version changes
+    let previousCommit = '';
+    let previousMetadata = null;
+    let versionStatus = 'new version';
+
+    if (!checks.hasErrors() && !(logoCheck && !logoCheck.valid) && checkHistory) {
+        checks.step('Checking version history');
+        // Try to get the previous version from base branch
+        const baseBranch = options.baseRef || process.env.GITHUB_BASE_REF || 'main';
+        const previousContent = gitCommand(`git show origin/${baseBranch}:"${filePath}"`) ||
+                               gitCommand(`git show ${baseBranch}:"${filePath}"`) ||
+                               gitCommand(`git show origin/main:"${filePath}"`) ||
+                               gitCommand(`git show main:"${filePath}"`);
+        const field = 'version';
+        checks.info('metadata.version-history', `Current version: ${metadata.version}`);
+
+        if (previousContent) {
+            try {
+                previousMetadata = JSON.parse(previousContent);
+                if (previousMetadata.version) {
+                    const previousVersion = previousMetadata.version;
+                    previousCommit = previousMetadata.commit || '';
+                    checks.info('metadata.version-history', `Previous version: ${previousVersion}`);
+
+                    const versionComparison = compareVersions(metadata.version, previousVersion);
+                    if (versionComparison > 0) {
+                        // Check if commit has been updated even with version increment
+                        if (previousCommit && metadata.commit && previousCommit === metadata.commit) {
+                            checks.error('metadata.version-history', `Commit must be updated: ${metadata.commit}... is same as previous commit`, { field: 'commit' });
+                            versionStatus = `${previousVersion} → ${metadata.version} (❌ Same commit)`;
+                        } else {
+                            versionStatus = `${previousVersion} → ${metadata.version} (✅ Version updated)`;
+                            checks.pass('metadata.version-history', `Version updated: ${previousVersion} → ${metadata.version}`, { field });
+                        }
+                    } else if (versionComparison === 0) {
+                        versionStatus = `${metadata.version} (❌ Version unchanged)`;
+                        checks.error('metadata.version-history', `Version must be incremented: ${metadata.version} is same as previous version`, { field });
+                    } else {
+                        versionStatus = `${metadata.version} (❌ Version downgrade)`;
+                        checks.error('metadata.version-history', `Version must be incremented: ${metadata.version} is lower than previous ${previousVersion}`, { field });
+                    }
+                } else {
+                    versionStatus = `${metadata.version} (🆕 New submission)`;
+                    checks.info('metadata.version-history', `Previous file has no version field, new version added: ${metadata.version}`);
+                }
+            } catch (error) {
+                versionStatus = `${metadata.version} (🆕 New submission)`;
+                checks.info('metadata.version-history', `Previous file is not valid JSON (${error.message}), new app detected: ${metadata.version}`);
+            }
+        } else {
+            versionStatus = `${metadata.version} (🆕 New submission)`;
+            checks.info('metadata.version-history', `No previous file found in main branch, new app detected: ${metadata.version}`);
+        }
+    }
+
+    // Link the commit comparison when the commit changed
+    const { owner, repo } = metadata;
+    let compareLink = null;
+    if (previousCommit && metadata.commit && previousCommit !== metadata.commit) {
+        compareLink = `https://github.com/${owner}/${repo}/compare/${previousCommit}...${metadata.commit}`;
+        checks.step('Comparing with the previous commit');
+        checks.info('metadata.changes', `Compare link: ${compareLink}`);
+    }
+
+    // Summarize what changed in the installed files between the two commits
+    let changes = null;
+    if (compareLink && previousMetadata && !offline) {
+        const comparedFiles = await compareCommits(owner, repo, previousCommit, metadata.commit);
+
+        if (comparedFiles) {
+            // Directory and glob entries are compared as the files they match at each commit
+            const previousFiles = hasPatternEntries(previousMetadata) ? await getSourceResolver(offline).listFiles(previousMetadata) : null;
+            const previousExpanded = previousFiles ? expandAppFiles(previousMetadata, previousFiles) : previousMetadata;
+            changes = summarizeChanges(previousExpanded, withExpandedFiles(metadata, expansions), comparedFiles);
+            for (const file of changes.files) {
+                checks.info('metadata.changes', `${file.change}: \`${file.file}\` (+${file.additions} / -${file.deletions})`);
+            }
+            checks.info('metadata.changes', `${changes.unchanged} installed file(s) unchanged, ${changes.untracked.length} other file(s) changed under path, ${changes.outsidePath.length} outside path`);
+        }
+    }
+
+    // App details for the PR comment and the JSON report
+    result.app = {
+        name: metadata.name,
+        owner,
+        repo,
+        path: hasVariants(metadata) ? null : metadata.path,
+        variants: hasVariants(metadata) ? getFileSets(metadata).map(fileSet => ({ 'supported-screen-size': fileSet['supported-screen-size'], path: fileSet.path })) : null,
+        version: metadata.version,
+        versionStatus,
+        category: metadata.category,
+        commit: metadata.commit,
+        logo: logoCheck && logoCheck.info ? describeLogo(logoCheck.info) : null,
+        crossRepositoryAuthor: prAuthor && owner && prAuthor !== owner ? prAuthor : null,
+        modules: Array.from(scriptModules).sort(),
+        unsupportedFeatures: Array.from(scriptFeatures),
+        compareLink,
+        changes
+    };
+}
+
+// Function to validate the metadata.json and logo.png of a single app directory
+// Returns the validation result, see createValidationResult
+async function validateDirectoryFiles(dirPath, metadataFile, logoPath, prAuthor, options = {}) {
+    const result = createValidationResult(dirPath);
+    const checks = createCheckRecorder(result);
+
+    // The logo is checked first so a broken logo also skips the version history check
+    const logoCheck = checkLogo(logoPath);
+
+    // Check for metadata.json
+    checks.file('metadata.json');
+    if (fs.existsSync(metadataFile)) {
+        checks.pass('metadata.exists', 'File exists');
+        result.metadataFound = true;
+        await validateMetadata(metadataFile, checks, result, prAuthor, logoCheck, options);
+    } else {
+        checks.error('metadata.exists', 'File not found');
+    }
+    result.hasInvalidMetadata = result.metadataFound && result.checks.some(check => check.file === 'metadata.json' && check.severity === 'error');
+
+    // Decode the whole PNG and check it against the logo requirements
+    checks.file('logo.png');
+    if (fs.existsSync(logoPath)) {
+        checks.pass('logo.exists', 'File exists');
+        checks.step('Decoding logo');
+        if (logoCheck.info) {
+            checks.info('logo.format', `Logo: ${describeLogo(logoCheck.info)}`);
+        }
+        logoCheck.errors.forEach(error => checks.error('logo.format', error));
+        logoCheck.warnings.forEach(warning => checks.warning('logo.format', warning, { hint: 'Re-export the logo' }));
+        if (logoCheck.valid) {
+            checks.pass('logo.format', 'Logo valid');
+        }
+    } else {
+        checks.error('logo.exists', 'File not found');
+        result.hasMissingLogo = true;
+    }
+
+    return result;
+}
+
+module.exports = {
+    ROOT_DIR,
+    gitCommand,
+    loadValidCategories,
+    loadSupportedDevices,
+    compareVersions,
+    validateMetadata,
+    validateDirectoryFiles
+};
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+// Signs and verifies the release files with Ed25519.
+//
+// Every categories.json, category-*.json and changes/*.json file in releases/
+// gets a detached signature next to it (<file>.sig) holding the base64 encoded
+// 64-byte signature over the exact file bytes.
+//
+// Usage:
+//   node .github/scripts/sign-releases.js keygen
+//   node .github/scripts/sign-releases.js sign [--dir <releases-dir>]
+//   node .github/scripts/sign-releases.js verify [--dir <releases-dir>] [--public-key <key>]
+//
+// Keys:
+//   RELEASE_SIGNING_KEY  Private key used by `sign`: the 32-byte seed as hex or
+//                        base64, or a PKCS#8 PEM
+//   RELEASE_PUBLIC_KEY   Public key used by `verify` when --public-key is not
+//                        given: the raw 32-byte key as hex or base64, or an SPKI
+//                        PEM. Falls back to the key derived from RELEASE_SIGNING_KEY
+//
+// Exit codes: 0 on success, 1 when signing or verification fails, 2 on usage errors.
+
+const path = require('path');
+const { RELEASES_DIR, listFiles } = require('./lib/releases');
+const {
+    loadPrivateKey,
+    loadPublicKey,
+    exportPublicKey,
+    generateKeyPair,
+    signReleaseDirectory,
+    verifyReleaseDirectory
+} = require('./lib/signing');
+
+// Function to print usage information
+function printUsage() {
+    console.log('Usage: node .github/scripts/sign-releases.js <keygen|sign|verify> [--dir <releases-dir>] [--public-key <key>]');
+}
+
+// Function to parse command line arguments
+function parseArguments(argv) {
+    const options = { command: null, releasesDir: RELEASES_DIR, publicKey: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--dir' || arg === '--public-key') {
+            if (!argv[i + 1]) {
+                throw new Error(`${arg} requires a value`);
+            }
+            if (arg === '--dir') {
+                options.releasesDir = path.resolve(argv[++i]);
+            } else {
+                options.publicKey = argv[++i];
+            }
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (!options.command) {
+            options.command = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!['keygen', 'sign', 'verify'].includes(options.command)) {
+        throw new Error(options.command ? `Unknown command: ${options.command}` : 'Missing command');
+    }
+
+    return options;
+}
+
+// Function to print a new key pair
+function keygen() {
+    const { privateKey, publicKey } = generateKeyPair();
+    console.log('🔑 Generated Ed25519 key pair');
+    console.log('');
+    console.log('Private key (store as the RELEASE_SIGNING_KEY secret, never commit it):');
+    console.log(privateKey);
+    console.log('');
+    console.log('Public key (embed in firmware / set as RELEASE_PUBLIC_KEY):');
+    console.log(publicKey);
+}
+
+// Function to sign the release files
+function sign(releasesDir) {
+    if (!process.env.RELEASE_SIGNING_KEY) {
+        console.error('❌ RELEASE_SIGNING_KEY is not set');
+        process.exit(1);
+    }
+
+    const privateKey = loadPrivateKey(process.env.RELEASE_SIGNING_KEY);
+    const signed = signReleaseDirectory(releasesDir, listFiles(releasesDir), privateKey);
+
+    console.log(`🔏 Signed ${signed.length} release files`);
+    console.log(`   Public key: ${exportPublicKey(privateKey)}`);
+}
+
+// Function to verify the release file signatures
+function verify(releasesDir, publicKeyOption) {
+    let publicKey;
+    if (publicKeyOption || process.env.RELEASE_PUBLIC_KEY) {
+        publicKey = loadPublicKey(publicKeyOption || process.env.RELEASE_PUBLIC_KEY);
+    } else if (process.env.RELEASE_SIGNING_KEY) {
+        publicKey = loadPrivateKey(process.env.RELEASE_SIGNING_KEY);
+    } else {
+        console.error('❌ No public key given: use --public-key, RELEASE_PUBLIC_KEY or RELEASE_SIGNING_KEY');
+        process.exit(2);
+    }
+
+    const results = verifyReleaseDirectory(releasesDir, listFiles(releasesDir), publicKey);
+    const failures = results.filter(result => result.status !== 'valid');
+
+    console.log(`🔍 Verifying ${results.length} release files with public key ${exportPublicKey(publicKey)}`);
+    for (const { file, status } of failures) {
+        console.log(`   - ❌ ${file} (${status === 'missing' ? 'signature missing' : 'signature invalid'})`);
+    }
+
+    if (results.length === 0) {
+        console.log('❌ No signed release files found');
+        process.exit(1);
+    }
+    if (failures.length > 0) {
+        console.log(`❌ ${failures.length} of ${results.length} signatures failed verification`);
+        process.exit(1);
+    }
+    console.log(`✅ All ${results.length} signatures are valid`);
+}
+
+// Main function
+function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(2);
+    }
+
+    try {
+        if (options.command === 'keygen') {
+            keygen();
+        } else if (options.command === 'sign') {
+            sign(options.releasesDir);
+        } else {
+            verify(options.releasesDir, options.publicKey);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();
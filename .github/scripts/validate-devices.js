@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+// Validates the device registry in devices.json.
+//
+// Checks the file against devices.schema.json, that ids, names and aliases are
+// unique, and that every supported-devices, requires and min-screen-size value
+// in published metadata still resolves to at least one device, so renaming a
+// device (keep the old name as an alias) never silently drops apps from it.
+//
+// Usage:
+//   node .github/scripts/validate-devices.js
+//
+// Exit codes: 0 when the registry is valid, 1 otherwise.
+
+const fs = require('fs');
+const { loadCatalog } = require('./lib/catalog');
+const { formatSchemaError } = require('./lib/metadata-schema');
+const { DEVICES_PATH, validateDeviceRegistry, findDevice, expandSupportedDevices, getCompatibleDevices } = require('./lib/devices');
+
+// Function to check every published compatibility declaration against the registry
+// Returns a list of problems as strings
+function checkPublishedMetadata(devices) {
+    const problems = [];
+
+    for (const app of loadCatalog().apps) {
+        // Capability and screen size requirements must still be met by some device
+        if ((app.requires || app['min-screen-size']) && getCompatibleDevices(app, devices).length === 0) {
+            problems.push(`${app.slug}: no device satisfies requires / min-screen-size`);
+        }
+
+        const supportedDevices = app['supported-devices'];
+        if (supportedDevices === undefined) {
+            continue;
+        }
+
+        if (Array.isArray(supportedDevices)) {
+            for (const name of supportedDevices.filter(name => !findDevice(name, devices))) {
+                problems.push(`${app.slug}: device \`${name}\` is no longer in devices.json`);
+            }
+            continue;
+        }
+
+        let matches = [];
+        try {
+            matches = expandSupportedDevices(supportedDevices, devices);
+        } catch (error) {
+            problems.push(`${app.slug}: invalid regex pattern \`${supportedDevices}\``);
+            continue;
+        }
+        if (matches.length === 0) {
+            problems.push(`${app.slug}: \`${supportedDevices}\` no longer matches any device`);
+        }
+    }
+
+    return problems;
+}
+
+// Main function
+function main() {
+    console.log('🔍 Validating devices.json...');
+
+    let registry;
+    try {
+        registry = JSON.parse(fs.readFileSync(DEVICES_PATH, 'utf8'));
+    } catch (error) {
+        console.log(`❌ Could not read devices.json - ${error.message}`);
+        process.exit(1);
+    }
+
+    const errors = validateDeviceRegistry(registry);
+    for (const error of errors) {
+        console.log(`   - ❌ ${formatSchemaError(error)}`);
+    }
+    if (errors.length > 0) {
+        console.log(`❌ devices.json has ${errors.length} error(s)`);
+        process.exit(1);
+    }
+    console.log(`   - ✅ ${registry.devices.length} devices, ids and names are unique`);
+
+    const problems = checkPublishedMetadata(registry.devices);
+    for (const problem of problems) {
+        console.log(`   - ❌ ${problem}`);
+    }
+    if (problems.length > 0) {
+        console.log(`❌ ${problems.length} published compatibility declaration(s) no longer resolve`);
+        process.exit(1);
+    }
+    console.log('   - ✅ Every published compatibility declaration resolves');
+
+    console.log('✅ devices.json is valid');
+}
+
+main();
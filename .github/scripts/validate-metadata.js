@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+// Standalone metadata validator for contributors.
+//
+// Validates one or more app directories (or the whole repositories/ tree) with
+// the same rules the pull request validator applies, without needing a pull
+// request or any GitHub environment variables.
+//
+// Usage:
+//   node .github/scripts/validate-metadata.js [options] [app-directory ...]
+//
+// Options:
+//   --offline      Skip the GitHub commit and repository tree lookups
+//   --base <ref>   Check the version history against <ref> (skipped by default)
+//   --json         Print a JSON report instead of the validation steps
+//   --sarif <file> Also write the errors and warnings as a SARIF log to <file>
+//   --help         Show this help
+//
+// Exit codes: 0 when every directory passes, 1 when any fails, 2 on usage errors.
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, findMetadataFiles } = require('./lib/catalog');
+const { validateDirectoryFiles } = require('./lib/validation');
+const { formatConsoleReport, toSarif, toJsonReport } = require('./lib/validation-report');
+
+// Function to print usage information
+function printUsage() {
+    console.log('Usage: node .github/scripts/validate-metadata.js [--offline] [--base <ref>] [--json] [--sarif <file>] [app-directory ...]');
+    console.log('');
+    console.log('Validates the given app directories, or every app in repositories/ when none are given.');
+}
+
+// Function to parse command line arguments
+function parseArguments(argv) {
+    const options = { offline: false, json: false, sarifPath: null, baseRef: null, directories: [], help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--offline') {
+            options.offline = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--base') {
+            if (!argv[i + 1]) {
+                throw new Error('--base requires a git ref');
+            }
+            options.baseRef = argv[++i];
+        } else if (arg === '--sarif') {
+            if (!argv[i + 1]) {
+                throw new Error('--sarif requires a file path');
+            }
+            options.sarifPath = path.resolve(argv[++i]);
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.directories.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// Function to turn a user supplied directory into a path relative to the repository root
+function resolveAppDirectory(directory) {
+    const absolutePath = path.resolve(directory);
+    const relativePath = path.relative(ROOT_DIR, absolutePath);
+
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        throw new Error(`Directory is outside the App Store repository: ${directory}`);
+    }
+
+    return relativePath.replace(/\\/g, '/');
+}
+
+// Main function
+async function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printUsage();
+        return;
+    }
+
+    let directories;
+    try {
+        directories = options.directories.length > 0
+            ? options.directories.map(resolveAppDirectory)
+            : findMetadataFiles().map(file => resolveAppDirectory(path.dirname(file)));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    // Metadata paths and git lookups are relative to the repository root
+    process.chdir(ROOT_DIR);
+
+    const validationOptions = {
+        offline: options.offline,
+        checkHistory: Boolean(options.baseRef),
+        baseRef: options.baseRef
+    };
+
+    const results = [];
+
+    for (const directory of directories) {
+        const metadataFile = path.join(directory, 'metadata.json');
+        const logoFile = path.join(directory, 'logo.png');
+
+        if (!options.json) {
+            console.log(`📁 Processing: \`${directory}\``);
+        }
+
+        const result = await validateDirectoryFiles(directory, metadataFile, logoFile, null, validationOptions);
+        results.push(result);
+
+        if (!options.json) {
+            console.log(formatConsoleReport(result));
+            console.log('─'.repeat(80));
+        }
+    }
+
+    const report = toJsonReport(results, { offline: options.offline });
+
+    if (options.sarifPath) {
+        fs.writeFileSync(options.sarifPath, JSON.stringify(toSarif(results), null, 2));
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log('');
+        console.log('📋 Summary:');
+        console.log(`   Directories validated: ${report.total}`);
+        console.log(`   Passed: ${report.passed}`);
+        console.log(`   Failed: ${report.failed}`);
+        for (const result of results.filter(result => !result.valid)) {
+            console.log(`   - ❌ ${result.directory}`);
+        }
+        if (options.sarifPath) {
+            console.log(`   SARIF log: ${path.relative(process.cwd(), options.sarifPath)}`);
+        }
+    }
+
+    // Set the exit code instead of exiting so a large report is fully flushed to a pipe
+    if (!report.success) {
+        process.exitCode = 1;
+    }
+}
+
+// Run the script
+main().catch(error => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+});
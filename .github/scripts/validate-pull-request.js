@@ -2,601 +2,23 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
-
-// Rate limiting for GitHub API calls
-const API_DELAY = 1000; // 1 second between API calls
-let lastApiCall = 0;
-
-// GitHub API helper with rate limiting and authentication
-async function githubApiCall(url, options = {}) {
-    // Ensure we don't exceed rate limits
-    const now = Date.now();
-    const timeSinceLastCall = now - lastApiCall;
-    if (timeSinceLastCall < API_DELAY) {
-        await new Promise(resolve => setTimeout(resolve, API_DELAY - timeSinceLastCall));
-    }
-    lastApiCall = Date.now();
-
-    const headers = {
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'App-Store-Data-Validator/1.0',
-        ...options.headers
-    };
-
-    // Add authentication if available
-    const token = process.env.GITHUB_TOKEN;
-    if (token) {
-        headers['Authorization'] = `token ${token}`;
-    }
-
-    try {
-        const response = await fetch(url, {
-            ...options,
-            headers
-        });
-        
-        // Handle rate limit headers
-        const remaining = response.headers.get('X-RateLimit-Remaining');
-        const resetTime = response.headers.get('X-RateLimit-Reset');
-        
-        if (remaining && parseInt(remaining) < 10) {
-            console.log(`⚠️  GitHub API rate limit low: ${remaining} calls remaining`);
-            if (resetTime) {
-                const resetDate = new Date(parseInt(resetTime) * 1000);
-                console.log(`   Rate limit resets at: ${resetDate.toLocaleTimeString()}`);
-            }
-        }
-
-        return response;
-    } catch (error) {
-        console.log(`⚠️  GitHub API error for ${url}: ${error.message}`);
-        throw error;
-    }
-}
-
-// Cache for commit verification results
-const commitVerificationCache = new Map();
-
-// Function to verify commit exists (cached)
-async function verifyCommitExists(owner, repo, commit) {
-    const cacheKey = `${owner}/${repo}@${commit}`;
-    
-    if (commitVerificationCache.has(cacheKey)) {
-        return commitVerificationCache.get(cacheKey);
-    }
-
-    try {
-        const githubUrl = `https://api.github.com/repos/${owner}/${repo}/commits/${commit}`;
-        const response = await githubApiCall(githubUrl);
+const { GITHUB_API_URL, githubApiCall } = require('./lib/github');
+const { gitCommand, validateDirectoryFiles } = require('./lib/validation');
+const { escapeTableCell, formatInlineCode } = require('./lib/markdown');
+const { formatConsoleReport, formatAppSection, toSarif, toCheckRunAnnotations, toJsonReport } = require('./lib/validation-report');
 
-        const result = {
-            exists: response.status === 200,
-            status: response.status
-        };
-        
-        commitVerificationCache.set(cacheKey, result);
-        return result;
-    } catch (error) {
-        const result = {
-            exists: false,
-            error: error.message
-        };
-        commitVerificationCache.set(cacheKey, result);
-        return result;
-    }
-}
+// Files the structured validation results are written to, for the workflow to upload
+const RESULTS_JSON_PATH = process.env.VALIDATION_RESULTS_JSON || 'validation-results.json';
+const RESULTS_SARIF_PATH = process.env.VALIDATION_RESULTS_SARIF || 'validation-results.sarif';
 
-// Cache for commit verification results
-const gitTreesCache = new Map();
+// Name of the check run the validation errors are annotated on
+const CHECK_RUN_NAME = 'Metadata validation';
 
-// Function to get all files in a repository at a specific commit
-async function getRepositoryFiles(owner, repo, commit) {
-    const cacheKey = `${owner}/${repo}@${commit}`;
-    
-    if (gitTreesCache.has(cacheKey)) {
-        return gitTreesCache.get(cacheKey);
-    }
-
-    try {
-        const treeUrl = `https://api.github.com/repos/${owner}/${repo}/git/trees/${commit}?recursive=1`;
-        const response = await githubApiCall(treeUrl);
-
-        if (response.status === 200) {
-            const data = await response.json();
-            // Create a Set of file paths for fast lookup
-            const filePaths = new Set(
-                data.tree
-                    .filter(item => item.type === 'blob') // Only files, not directories
-                    .map(item => item.path)
-            );
-            
-            gitTreesCache.set(cacheKey, filePaths);
-            return filePaths;
-        } else if (response.status === 404) {
-            console.log(`      - ❌ Repository or commit not found: ${owner}/${repo}@${commit}`);
-            return null;
-        } else {
-            console.log(`      - ⚠️  Could not fetch repository tree (status: ${response.status})`);
-            return null;
-        }
-    } catch (error) {
-        console.log(`      - ⚠️  Could not fetch repository tree: ${error.message}`);
-        return null;
-    }
-}
-
-// Function to execute git commands safely
-function gitCommand(command) {
-    try {
-        return execSync(command, { encoding: 'utf8', stdio: 'pipe' }).trim();
-    } catch (error) {
-        return null;
-    }
-}
-
-// Function to load valid categories from categories.json
-function loadValidCategories() {
-    try {
-        const categoriesPath = path.join(__dirname, '..', '..', 'categories.json');
-        const categoriesContent = fs.readFileSync(categoriesPath, 'utf8');
-        const categoriesData = JSON.parse(categoriesContent);
-
-        return categoriesData;
-    } catch (error) {
-        console.log(`❌ Could not load \`categories.json\` - ${error.message}`);
-        console.log('Please ensure \`categories.json\` exists and contains a valid JSON array of category names');
-        return null;
-    }
-}
-
-// Function to load supported devices from supported-devices.json
-function loadSupportedDevices() {
-    try {
-        const devicesPath = path.join(__dirname, '..', '..', 'supported-devices.json');
-        const devicesContent = fs.readFileSync(devicesPath, 'utf8');
-        const devicesData = JSON.parse(devicesContent);
-
-        return devicesData;
-    } catch (error) {
-        console.log(`❌ Could not load \`supported-devices.json\` - ${error.message}`);
-        console.log('Please ensure \`supported-devices.json\` exists and contains a valid JSON array of device names');
-        return null;
-    }
-}
-
-// Function to read PNG dimensions
-function getPngDimensions(filePath) {
-    try {
-        const buffer = fs.readFileSync(filePath);
-        
-        // Check PNG signature
-        const pngSignature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
-        for (let i = 0; i < pngSignature.length; i++) {
-            if (buffer[i] !== pngSignature[i]) {
-                return null; // Not a valid PNG
-            }
-        }
-        
-        // Read width and height from IHDR chunk (bytes 16-23)
-        const width = buffer.readUInt32BE(16);
-        const height = buffer.readUInt32BE(20);
-        
-        return { width, height };
-    } catch (error) {
-        return null;
-    }
-}
-
-// Function to compare semantic versions (returns 1 if v1 > v2, -1 if v1 < v2, 0 if equal)
-function compareVersions(v1, v2) {
-    const parts1 = v1.split('.').map(Number);
-    const parts2 = v2.split('.').map(Number);
-
-    for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
-        const part1 = parts1[i] || 0;
-        const part2 = parts2[i] || 0;
-
-        if (part1 > part2) return 1;
-        if (part1 < part2) return -1;
-    }
-    return 0;
-}
-
-// Function to validate JSON structure
-async function validateMetadata(filePath, dir, prAuthor, logoValidationFailed = false) {
-    let hasErrors = logoValidationFailed; // Start with logo validation result
-    let metadata;
-    try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        metadata = JSON.parse(content);
-    } catch (error) {
-        console.log(`    - ❌ Invalid JSON format`);
-        return { success: false, metadataInfo: '' };
-    }
-    console.log(`    - ✅ Valid JSON format`);
-
-    // Required fields
-    const requiredFields = ['name', 'category', 'description', 'version', 'commit', 'owner', 'repo', 'path'];
-    console.log(`    - 🔍 Checking required fields...`);
-    // Check each required field exists
-    let fieldsValid = true;
-    for (const field of requiredFields) {
-        if (!(field in metadata)) {
-            console.log(`      - ❌ Missing required field: \`${field}\``);
-            hasErrors = true;
-            fieldsValid = false;
-        } else {
-            // Check field is not null or empty string
-            const value = metadata[field];
-            if (value === null || value === undefined || value === '') {
-                console.log(`      - ❌ Field \`${field}\` is null or empty`);
-                hasErrors = true;
-                fieldsValid = false;
-            } else {
-                console.log(`      - ✅ Field \`${field}\`: \`${value}\``);
-            }
-        }
-    }
-
-    // Validate field formats
-    console.log(`    - 🔍 Validating fields...`);
-    if (metadata.version) {
-        const version = metadata.version;
-        if (!/^[0-9]+\.[0-9]+\.[0-9]+$/.test(version)) {
-            console.log(`      - ❌ Version \`${version}\` must be in format X.Y.Z`);
-            hasErrors = true;
-        } else {
-            console.log(`      - ✅ Version format valid: \`${version}\``);
-        }
-    }
-
-    if (metadata.commit) {
-        const commit = metadata.commit;
-        if (!/^[a-f0-9]{40}$/.test(commit)) {
-            console.log(`      - ❌ Commit \`${commit}\` must be a valid 40-character SHA hash`);
-            hasErrors = true;
-        } else {
-            console.log(`      - ✅ Commit hash format valid: \`${commit}...\``);
-
-            // Verify commit exists on GitHub using owner/repo from metadata
-            if (metadata.owner && metadata.repo) {
-                const verification = await verifyCommitExists(metadata.owner, metadata.repo, commit);
-                
-                if (verification.exists) {
-                    console.log(`      - ✅ Commit \`${commit}...\` exists on GitHub`);
-                } else if (verification.status === 404) {
-                    console.log(`      - ❌ Commit \`${commit}...\` not found in ${metadata.owner}/${metadata.repo}`);
-                    hasErrors = true;
-                } else if (verification.error) {
-                    console.log(`      - ⚠️  Could not verify commit on GitHub: ${verification.error}`);
-                } else {
-                    console.log(`      - ⚠️  Could not verify commit on GitHub (status: ${verification.status})`);
-                }
-            } else {
-                console.log(`      - ⚠️  Cannot verify commit without owner/repo information`);
-            }
-        }
-    }
-
-    // Validate category (loaded from categories.json)
-    if (metadata.category) {
-        const category = metadata.category;
-        const validCategories = loadValidCategories();
-        if (!validCategories) {
-            console.log(`      - ❌ Could not load valid categories list`);
-            hasErrors = true;
-        } else if (!validCategories.includes(category)) {
-            console.log(`      - ❌ Category \`${category}\` is not in valid list: ${validCategories.join(', ')}`);
-            hasErrors = true;
-        } else {
-            console.log(`      - ✅ Category valid: \`${category}\``);
-        }
-    }
-
-    // Validate supported-screen-size (required for themes)
-    const isTheme = metadata.category === 'Themes' || metadata.category === 'Theme';
-    if (isTheme) {
-        if (!metadata['supported-screen-size']) {
-            console.log(`      - ❌ Field 'supported-screen-size' is required for themes`);
-            hasErrors = true;
-        } else {
-            const screenSize = metadata['supported-screen-size'];
-            if (typeof screenSize !== 'string') {
-                console.log(`      - ❌ supported-screen-size must be a string`);
-                hasErrors = true;
-            } else if (!/^\d+x\d+$/.test(screenSize)) {
-                console.log(`      - ❌ supported-screen-size must be in format 'widthxheight' (e.g., '320x170')`);
-                hasErrors = true;
-            } else {
-                const [width, height] = screenSize.split('x').map(Number);
-                if (width <= 0 || height <= 0) {
-                    console.log(`      - ❌ supported-screen-size dimensions must be positive numbers`);
-                    hasErrors = true;
-                } else {
-                    console.log(`      - ✅ Screen size valid: \`${screenSize}\` (${width}x${height})`);
-                }
-            }
-        }
-    } else {
-        // For non-themes, supported-screen-size should not be present
-        if (metadata['supported-screen-size']) {
-            console.log(`      - ❌ Field 'supported-screen-size' is only allowed for themes`);
-            hasErrors = true;
-        }
-    }
-
-    // Validate supported-devices (not allowed for themes)
-    if (metadata['supported-devices']) {
-        if (isTheme) {
-            console.log(`      - ❌ Field 'supported-devices' is not allowed for themes`);
-            hasErrors = true;
-        } else {
-            const supportedDevices = metadata['supported-devices'];
-            const validDevices = loadSupportedDevices();
-            
-            if (!validDevices) {
-                console.log(`      - ❌ Could not load supported devices list`);
-                hasErrors = true;
-            } else {
-                if (Array.isArray(supportedDevices)) {
-                    // Array of device names
-                    let allValid = true;
-                    for (const device of supportedDevices) {
-                        if (!validDevices.includes(device)) {
-                            console.log(`      - ❌ Device \`${device}\` is not in supported devices list`);
-                            hasErrors = true;
-                            allValid = false;
-                        }
-                    }
-                    if (allValid) {
-                        console.log(`      - ✅ All devices valid: \`${supportedDevices.join(', ')}\``);
-                    }
-                } else if (typeof supportedDevices === 'string') {
-                    // Check if it's a direct device name or regex pattern
-                    if (validDevices.includes(supportedDevices)) {
-                        console.log(`      - ✅ Device valid: \`${supportedDevices}\``);
-                    } else {
-                        // Try as regex pattern
-                        try {
-                            const regex = new RegExp(supportedDevices);
-                            const matchingDevices = validDevices.filter(device => regex.test(device));
-                            
-                            if (matchingDevices.length > 0) {
-                                console.log(`      - ✅ Regex pattern \`${supportedDevices}\` matches ${matchingDevices.length} devices: ${matchingDevices.join(', ')}`);
-                            } else {
-                                console.log(`      - ❌ Regex pattern \`${supportedDevices}\` doesn't match any devices`);
-                                hasErrors = true;
-                            }
-                        } catch (regexError) {
-                            console.log(`      - ❌ Invalid device name or regex pattern: \`${supportedDevices}\``);
-                            hasErrors = true;
-                        }
-                    }
-                } else {
-                    console.log(`      - ❌ supported-devices must be a string, regex pattern, or array of device names`);
-                    hasErrors = true;
-                }
-            }
-        }
-    }
-
-    // Validate folder structure matches /repositories/owner/reponame/ format
-    if (metadata.owner && metadata.repo) {
-        console.log(`    - 🔍 Checking folder structure...`);
-        const expectedPath = `repositories/${metadata.owner}/${metadata.repo}`;
-        const actualPath = path.dirname(filePath).replace(/\\/g, '/'); // Normalize path separators
-        
-        if (actualPath.includes(expectedPath)) {
-            console.log(`      - ✅ Folder structure valid: contains \`${expectedPath}\``);
-        } else {
-            console.log(`      - ❌ Folder structure invalid: expected path containing \`${expectedPath}\`, got \`${actualPath}\``);
-            hasErrors = true;
-        }
-    } else {
-        console.log(`    - ⚠️  Cannot validate folder structure without owner/repo information`);
-    }
-
-    // Validate files array if present
-    if (metadata.files) {
-        console.log(`    - 🔍 Validating files array...`);
-        
-        if (!Array.isArray(metadata.files)) {
-            console.log(`      - ❌ Field \`files\` must be an array`);
-            hasErrors = true;
-        } else {
-            console.log(`      - ✅ Files field is a valid array with ${metadata.files.length} entries`);
-            
-            // Check each file exists in the repository at the specified commit
-            if (metadata.owner && metadata.repo && metadata.commit) {
-                console.log(`      - 🔍 Fetching repository file tree...`);
-                const repositoryFiles = await getRepositoryFiles(metadata.owner, metadata.repo, metadata.commit);
-                
-                if (repositoryFiles) {
-                    console.log(`      - ✅ Repository tree loaded (${repositoryFiles.size} files)`);
-                    
-                    for (const file of metadata.files) {
-                        let filePath;
-                        let displayPath;
-                        
-                        if (typeof file === 'string') {
-                            // String format: direct file path
-                            const cleanFilePath = file.startsWith('/') ? file.substring(1) : file;
-                            // Normalize metadata.path and join with file path
-                            const basePath = metadata.path === '/' ? '' : metadata.path.replace(/^\/+|\/+$/g, '');
-                            filePath = basePath ? `${basePath}/${cleanFilePath}` : cleanFilePath;
-                            displayPath = file;
-                        } else if (typeof file === 'object' && file !== null) {
-                            // Object format: must have 'source' and 'destination' properties
-                            if (!file.source || !file.destination) {
-                                console.log(`      - ❌ File object must contain 'source' and 'destination' properties: \`${JSON.stringify(file)}\``);
-                                hasErrors = true;
-                                continue;
-                            }
-                            if (typeof file.source !== 'string' || typeof file.destination !== 'string') {
-                                console.log(`      - ❌ File object 'source' and 'destination' must be strings: \`${JSON.stringify(file)}\``);
-                                hasErrors = true;
-                                continue;
-                            }
-                            // Use source path for verification, combined with metadata.path
-                            const cleanSourcePath = file.source.startsWith('/') ? file.source.substring(1) : file.source;
-                            // Normalize metadata.path and join with source path
-                            const basePath = metadata.path === '/' ? '' : metadata.path.replace(/^\/+|\/+$/g, '');
-                            filePath = basePath ? `${basePath}/${cleanSourcePath}` : cleanSourcePath;
-                            displayPath = `${file.source} → ${file.destination}`;
-                        } else {
-                            console.log(`      - ❌ File entry must be a string or object with 'source' and 'destination' properties: \`${file}\``);
-                            hasErrors = true;
-                            continue;
-                        }
-                        
-                        // Check if file exists in the repository tree
-                        if (repositoryFiles.has(filePath)) {
-                            console.log(`      - ✅ File exists at commit: \`${displayPath}\` (path: ${filePath})`);
-                        } else {
-                            console.log(`      - ❌ File not found at commit \`${metadata.commit}...\`: \`${displayPath}\` (expected path: ${filePath})`);
-                            hasErrors = true;
-                        }
-                    }
-                } else {
-                    console.log(`      - ⚠️  Could not verify files - repository tree unavailable`);
-                }
-            } else {
-                console.log(`      - ⚠️  Cannot verify files without owner/repo/commit information`);
-            }
-        }
-    }
-
-
-    // Check for version changes
-    let previousVersion = '';
-    let previousCommit = '';
-    let versionStatus = 'new version';
-
-    if (!hasErrors) {
-        console.log(`    - 🔍 Checking version history...`);
-        // Try to get the previous version from base branch
-        const baseBranch = process.env.GITHUB_BASE_REF || 'main';
-        const previousContent = gitCommand(`git show origin/${baseBranch}:"${filePath}"`) || 
-                               gitCommand(`git show ${baseBranch}:"${filePath}"`) ||
-                               gitCommand(`git show origin/main:"${filePath}"`) || 
-                               gitCommand(`git show main:"${filePath}"`);
-        console.log(`      - 🔍 Current version: ${metadata.version}`);
-        
-        if (previousContent) {
-            console.log(`      - ✅ Found previous file in main branch`);
-            try {
-                const previousMetadata = JSON.parse(previousContent);
-                if (previousMetadata.version) {
-                    previousVersion = previousMetadata.version;
-                    previousCommit = previousMetadata.commit || '';
-                    console.log(`      - 📋 Previous version: ${previousVersion}`);
-
-                    const versionComparison = compareVersions(metadata.version, previousVersion);
-                    if (versionComparison > 0) {
-                        // Check if commit has been updated even with version increment
-                        if (previousCommit && metadata.commit && previousCommit === metadata.commit) {
-                            console.log(`      - ❌ Commit must be updated: ${metadata.commit}... is same as previous commit`);
-                            versionStatus = `${previousVersion} → ${metadata.version} (❌ Same commit)`;
-                            hasErrors = true;
-                        } else {
-                            versionStatus = `${previousVersion} → ${metadata.version} (✅ Version updated)`;
-                            console.log(`      - ✅ Version updated: ${previousVersion} → ${metadata.version}`);
-                        }
-                    } else if (versionComparison === 0) {
-                        versionStatus = `${metadata.version} (❌ Version unchanged)`;
-                        console.log(`      - ❌ Version must be incremented: ${metadata.version} is same as previous version`);
-                        hasErrors = true;
-                    } else {
-                        versionStatus = `${metadata.version} (❌ Version downgrade)`;
-                        console.log(`      - ❌ Version must be incremented: ${metadata.version} is lower than previous ${previousVersion}`);
-                        hasErrors = true;
-                    }
-                } else {
-                    console.log(`      - ⚠️ Previous file has no version field`);
-                    versionStatus = `${metadata.version} (🆕 New submission)`;
-                    console.log(`      - ✅ New version added: ${metadata.version}`);
-                }
-            } catch (error) {
-                console.log(`      - ⚠️ Previous file is not valid JSON: ${error.message}`);
-                versionStatus = `${metadata.version} (🆕 New submission)`;
-                console.log(`      - ✅ New app detected: ${metadata.version}`);
-            }
-        } else {
-            console.log(`      - ⚠️ No previous file found in main branch`);
-            versionStatus = `${metadata.version} (🆕 New submission)`;
-            console.log(`      - ✅ New app detected: ${metadata.version}`);
-        }
-    }
-
-    if (!hasErrors) {
-        console.log(`    - ✅ All validation checks passed`);
-    }
-
-    // Store metadata info for PR comment
-    const owner = metadata.owner;
-    const repo = metadata.repo;
-    let compareLink = '';
-
-    console.log(`      - 🔍 Compare link check:`);
-    
-    // Create commit links
-    const previousCommitLink = previousCommit ? 
-        `https://github.com/${owner}/${repo}/commit/${previousCommit}` : null;
-    const currentCommitLink = metadata.commit ? 
-        `https://github.com/${owner}/${repo}/commit/${metadata.commit}` : null;
-    
-    if (previousCommitLink) {
-        console.log(`        - Previous commit: [${previousCommit.substring(0, 8)}...](${previousCommitLink})`);
-    } else {
-        console.log(`        - Previous commit: \`None\``);
-    }
-    
-    if (currentCommitLink) {
-        console.log(`        - Current commit: [${metadata.commit.substring(0, 8)}...](${currentCommitLink})`);
-    } else {
-        console.log(`        - Current commit: \`None\``);
-    }
-    
-    console.log(`        - Owner/Repo: ${owner}/${repo}`);
-
-    if (previousCommit && metadata.commit && previousCommit !== metadata.commit) {
-        compareLink = `https://github.com/${owner}/${repo}/compare/${previousCommit}...${metadata.commit}`;
-        console.log(`        - ✅ Compare link generated: ${compareLink}`);
-    } else {
-        if (!previousCommit) {
-            console.log(`        - ⚠️ No previous commit available`);
-        } else if (!metadata.commit) {
-            console.log(`        - ⚠️ No current commit available`);
-        } else if (previousCommit === metadata.commit) {
-            console.log(`        - ℹ️ Commits are identical, no changes to compare`);
-        }
-        console.log(`        - 🚫 No compare link generated`);
-    }
-
-    // Write metadata info to return for PR comment
-    let metadataInfo = `### ${metadata.name} (${path.dirname(filePath)})\n`;
-    metadataInfo += `${!hasErrors ? '✅ **Validation Passed**' : '❌ **Validation Failed**'}\n`;
-    metadataInfo += `- **Repository:** [${metadata.owner}/${metadata.repo}](https://github.com/${metadata.owner}/${metadata.repo})\n`;
-    metadataInfo += `- **Path:** \`${metadata.path}\`\n`;
-    metadataInfo += `- **Version:** ${versionStatus}\n`;
-    metadataInfo += `- **Category:** ${metadata.category}\n`;
-    
-    // Check for cross-repository contribution
-    if (prAuthor && metadata.owner && prAuthor !== metadata.owner) {
-        metadataInfo += `- **⚠️ Cross-Repository Contribution:** PR by \`${prAuthor}\`, repository owned by \`${metadata.owner}\`\n`;
-    }
-    
-    if (compareLink) {
-        metadataInfo += `- **Changes:** [View commit comparison](${compareLink})\n`;
-    }
-    metadataInfo += '\n';
-
-    return { success: !hasErrors, metadataInfo }; // Return success status and metadata info
-}
+// GitHub accepts at most 50 annotations per check run request
+const ANNOTATIONS_PER_REQUEST = 50;
 
 // Function to manage PR labels
-async function managePRLabels(hasMetadataIssues, hasMissingMetadata, hasInvalidMetadata, hasMissingLogo, validationSuccess, isExternalContribution) {
+async function managePRLabels(hasMetadataIssues, hasMissingMetadata, hasInvalidMetadata, hasMissingLogo, validationSuccess, isExternalContribution, needsSecurityReview) {
     if (process.env.GITHUB_EVENT_NAME !== 'pull_request' && process.env.GITHUB_EVENT_NAME !== 'pull_request_target') {
         return;
     }
@@ -614,11 +36,11 @@ async function managePRLabels(hasMetadataIssues, hasMissingMetadata, hasInvalidM
     }
 
     const [owner, repo] = repository.split('/');
-    const labelsToManage = ['missing metadata.json', 'invalid metadata.json', 'missing logo.png', 'review required', 'external contribution', 'validation passed', 'validation failed'];
+    const labelsToManage = ['missing metadata.json', 'invalid metadata.json', 'missing logo.png', 'review required', 'external contribution', 'security review', 'validation passed', 'validation failed'];
 
     try {
         // Get current labels
-        const currentLabelsResponse = await githubApiCall(`https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/labels`);
+        const currentLabelsResponse = await githubApiCall(`${GITHUB_API_URL}/repos/${owner}/${repo}/issues/${issueNumber}/labels`);
 
         let currentLabels = [];
         if (currentLabelsResponse.ok) {
@@ -683,6 +105,17 @@ async function managePRLabels(hasMetadataIssues, hasMissingMetadata, hasInvalidM
             }
         }
 
+        // Manage 'security review' label
+        if (needsSecurityReview) {
+            if (!currentLabelNames.includes('security review')) {
+                labelsToAdd.push('security review');
+            }
+        } else {
+            if (currentLabelNames.includes('security review')) {
+                labelsToRemove.push('security review');
+            }
+        }
+
         // Manage 'validation passed' and 'validation failed' labels
         if (validationSuccess) {
             // Add 'validation passed' and remove 'validation failed'
@@ -704,7 +137,7 @@ async function managePRLabels(hasMetadataIssues, hasMissingMetadata, hasInvalidM
 
         // Add labels
         for (const labelName of labelsToAdd) {
-            await githubApiCall(`https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/labels`, {
+            await githubApiCall(`${GITHUB_API_URL}/repos/${owner}/${repo}/issues/${issueNumber}/labels`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -718,7 +151,7 @@ async function managePRLabels(hasMetadataIssues, hasMissingMetadata, hasInvalidM
 
         // Remove labels
         for (const labelName of labelsToRemove) {
-            await githubApiCall(`https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/labels/${encodeURIComponent(labelName)}`, {
+            await githubApiCall(`${GITHUB_API_URL}/repos/${owner}/${repo}/issues/${issueNumber}/labels/${encodeURIComponent(labelName)}`, {
                 method: 'DELETE'
             });
             console.log(`Removed label: ${labelName}`);
@@ -729,8 +162,31 @@ async function managePRLabels(hasMetadataIssues, hasMissingMetadata, hasInvalidM
     }
 }
 
+// Function to build the Security Review section of the PR comment from the risky operations found per app
+function formatSecuritySummary(securityReviews) {
+    if (securityReviews.length === 0) {
+        return '';
+    }
+
+    let section = `## 🛡️ Security Review
+
+Static checks found operations a reviewer should confirm are expected before approving:
+
+`;
+    for (const { directory, findings } of securityReviews) {
+        section += `### ${directory}\n\n`;
+        section += '| File | Line | Risk | Detail |\n';
+        section += '| ---- | ---- | ---- | ------ |\n';
+        for (const { file, line, description, detail } of findings) {
+            section += `| ${escapeTableCell(formatInlineCode(file))} | ${line} | ${description} | ${escapeTableCell(detail)} |\n`;
+        }
+        section += '\n';
+    }
+    return section;
+}
+
 // Function to post PR comment
-async function postPRComment(validationSuccess, individualAppDetails, summary, metadataInfo) {
+async function postPRComment(validationSuccess, results, summary, securitySummary = '') {
     console.log(`DEBUG: GITHUB_EVENT_NAME = "${process.env.GITHUB_EVENT_NAME}"`);
     
     if (process.env.GITHUB_EVENT_NAME !== 'pull_request' && process.env.GITHUB_EVENT_NAME !== 'pull_request_target') {
@@ -760,15 +216,7 @@ async function postPRComment(validationSuccess, individualAppDetails, summary, m
     console.log(`Attempting to post comment to ${owner}/${repo}#${issueNumber}`);
 
     // Build individual app sections
-    let appDetailsSection = '';
-    for (const { metadataInfo: appMetadataInfo, validationOutput } of individualAppDetails) {
-        if (appMetadataInfo && appMetadataInfo.trim()) {
-            appDetailsSection += appMetadataInfo;
-            appDetailsSection += `<details>\n<summary>🔍 Validation Steps (click to expand)</summary>\n\n`;
-            appDetailsSection += validationOutput;
-            appDetailsSection += `\n</details>\n\n`;
-        }
-    }
+    const appDetailsSection = results.map(formatAppSection).join('');
 
     let commentBody;
 
@@ -777,13 +225,13 @@ async function postPRComment(validationSuccess, individualAppDetails, summary, m
 
 ## 📦 Updated Apps/Components:
 
-${appDetailsSection}`;
+${appDetailsSection}${securitySummary}`;
     } else {
         commentBody = `# ❌ Validation Failed
 
 ## 📦 Apps/Components Being Updated:
 
-${appDetailsSection}
+${appDetailsSection}${securitySummary}
 ## Summary of Issues:
 
 ${summary}
@@ -795,7 +243,7 @@ Please check the documentation for guidance on resolving validation errors [here
 
     try {
         // Find and update previous validation comments
-        const commentsResponse = await githubApiCall(`https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/comments`);
+        const commentsResponse = await githubApiCall(`${GITHUB_API_URL}/repos/${owner}/${repo}/issues/${issueNumber}/comments`);
 
         if (commentsResponse.ok) {
             const comments = await commentsResponse.json();
@@ -817,7 +265,7 @@ ${comment.body}
 
 </details>`;
 
-                await githubApiCall(`https://api.github.com/repos/${owner}/${repo}/issues/comments/${comment.id}`, {
+                await githubApiCall(`${GITHUB_API_URL}/repos/${owner}/${repo}/issues/comments/${comment.id}`, {
                     method: 'PATCH',
                     headers: {
                         'Content-Type': 'application/json'
@@ -830,7 +278,7 @@ ${comment.body}
         }
 
         // Post new comment
-        const response = await githubApiCall(`https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/comments`, {
+        const response = await githubApiCall(`${GITHUB_API_URL}/repos/${owner}/${repo}/issues/${issueNumber}/comments`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -852,6 +300,79 @@ ${comment.body}
     }
 }
 
+// Function to create a check run on the PR head commit with an annotation for every error and warning
+// so they are shown on the offending line of metadata.json in the PR diff
+async function publishCheckRun(validationSuccess, results) {
+    const token = process.env.GITHUB_TOKEN;
+    const repository = process.env.GITHUB_REPOSITORY;
+    let headSha = process.env.HEAD_SHA;
+    if (!headSha && process.env.GITHUB_EVENT_PATH) {
+        try {
+            headSha = JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf8')).pull_request?.head?.sha;
+        } catch (error) {
+            console.log(`Could not read the head commit from the event: ${error.message}`);
+        }
+    }
+
+    if (!token || !repository || !headSha) {
+        console.log('Missing required environment variables for the check run');
+        return;
+    }
+
+    const [owner, repo] = repository.split('/');
+    const annotations = toCheckRunAnnotations(results);
+    const errorCount = annotations.filter(annotation => annotation.annotation_level === 'failure').length;
+    const output = {
+        title: validationSuccess ? 'Validation passed' : `${errorCount} validation error(s)`,
+        summary: `Validated ${results.length} app(s): ${results.filter(result => result.valid).length} passed, ${results.filter(result => !result.valid).length} failed, ${annotations.length} annotation(s).`
+    };
+
+    try {
+        // The first batch of annotations is sent with the check run, the rest are added by updates
+        const response = await githubApiCall(`${GITHUB_API_URL}/repos/${owner}/${repo}/check-runs`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                name: CHECK_RUN_NAME,
+                head_sha: headSha,
+                status: 'completed',
+                conclusion: validationSuccess ? 'success' : 'failure',
+                output: { ...output, annotations: annotations.slice(0, ANNOTATIONS_PER_REQUEST) }
+            })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.error(`Failed to create check run: ${response.status} ${response.statusText}`);
+            console.error(errorText);
+            return;
+        }
+
+        const checkRun = await response.json();
+        for (let start = ANNOTATIONS_PER_REQUEST; start < annotations.length; start += ANNOTATIONS_PER_REQUEST) {
+            const updateResponse = await githubApiCall(`${GITHUB_API_URL}/repos/${owner}/${repo}/check-runs/${checkRun.id}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    output: { ...output, annotations: annotations.slice(start, start + ANNOTATIONS_PER_REQUEST) }
+                })
+            });
+            if (!updateResponse.ok) {
+                console.error(`Failed to add annotations to check run: ${updateResponse.status} ${updateResponse.statusText}`);
+                return;
+            }
+        }
+
+        console.log(`Created check run with ${annotations.length} annotation(s)`);
+    } catch (error) {
+        console.error('Error creating check run:', error);
+    }
+}
+
 // Main validation logic
 async function main() {
     // Get actual changed files from git
@@ -956,9 +477,9 @@ async function main() {
         }
     }
 
-    // Initialize metadata info collection
-    let allMetadataInfo = '';
-    let individualAppDetails = []; // Store details for each individual app
+    // Structured validation result of every app
+    const results = [];
+    const securityReviews = []; // Risky operations found in each app's scripts
 
     // Process each repository group
     for (const [repoKey, { owner, repo, directories }] of repoGroups) {
@@ -972,49 +493,30 @@ async function main() {
             console.log(`📁 Processing: \`${directory}\``);
             console.log('');
             
-            // Capture validation output for this directory
-            let directoryOutput = '';
-            const originalLog = console.log;
-            const originalError = console.error;
-
-            console.log = (...args) => {
-                const message = args.join(' ');
-                directoryOutput += message + '\n';
-                originalLog(...args);
-            };
-
-            console.error = (...args) => {
-                const message = args.join(' ');
-                directoryOutput += message + '\n';
-                originalError(...args);
-            };
-
-            // Validate this directory
             const result = await validateDirectoryFiles(directory, metadataFile, logoFile, prAuthor);
-            
+            results.push(result);
+            console.log(formatConsoleReport(result));
+            console.log('');
+
+            // Track validation state
+            if (result.metadataFound) {
+                metadataFound = true;
+            }
+            if (result.hasInvalidMetadata) {
+                hasInvalidMetadata = true;
+            }
+            if (!result.valid) {
+                validationFailed = true;
+            }
+
             // Track missing logos
             if (result.hasMissingLogo) {
                 hasMissingLogo = true;
             }
-            
-            // Restore console functions
-            console.log = originalLog;
-            console.error = originalError;
-            
-            // Add metadata info if we got it
-            if (result.directoryMetadataInfo) {
-                allMetadataInfo += result.directoryMetadataInfo;
-                
-                // Store individual app details
-                individualAppDetails.push({
-                    metadataInfo: result.directoryMetadataInfo,
-                    validationOutput: directoryOutput.trim()
-                });
-                
-                // Show metadata summary for this directory
-                console.log('📋 **Metadata Summary:**');
-                console.log(result.directoryMetadataInfo.trim());
-                console.log('');
+
+            // Track risky operations for the security review
+            if (result.securityFindings.length > 0) {
+                securityReviews.push({ directory, findings: result.securityFindings });
             }
             
             console.log('─'.repeat(80));
@@ -1027,79 +529,10 @@ async function main() {
         }
     }
 
-    async function validateDirectoryFiles(dirPath, metadataFile, logoPath, prAuthor) {
-        let directoryValid = true;
-        let directoryMetadataInfo = '';
-        let logoValidationFailed = false;
-        
-        // Check for metadata.json
-        console.log(`  - 📄 \`metadata.json\``);
-        if (fs.existsSync(metadataFile)) {
-            console.log(`    - ✅ File exists`);
-            metadataFound = true;
-        } else {
-            console.log(`    - ❌ File not found`);
-            directoryValid = false;
-        }
-
-        // First check logo validation status (but don't output yet)
-        if (fs.existsSync(logoPath)) {
-            const dimensions = getPngDimensions(logoPath);
-            if (dimensions) {
-                const { width, height } = dimensions;
-                if (width !== 128 || height !== 128) {
-                    logoValidationFailed = true;
-                    validationFailed = true;
-                    directoryValid = false;
-                }
-            } else {
-                logoValidationFailed = true;
-                validationFailed = true;
-                directoryValid = false;
-            }
-        } else {
-            logoValidationFailed = true;
-            validationFailed = true;
-            directoryValid = false;
-        }
-
-        // Validate metadata.json if it exists, passing logo validation result
-        if (fs.existsSync(metadataFile)) {
-            const result = await validateMetadata(metadataFile, dirPath, prAuthor, logoValidationFailed);
-            if (!result.success) {
-                validationFailed = true;
-                hasInvalidMetadata = true;
-                directoryValid = false;
-            }
-            directoryMetadataInfo = result.metadataInfo;
-        }
-
-        // Now output logo validation
-        console.log(`  - 📄 \`logo.png\``);
-        if (fs.existsSync(logoPath)) {
-            console.log(`    - ✅ File exists`);
-            
-            // Check logo dimensions
-            console.log(`    - 🔍 Checking logo dimensions...`);
-            const dimensions = getPngDimensions(logoPath);
-            if (dimensions) {
-                const { width, height } = dimensions;
-                console.log(`      - ℹ️ Logo size: ${width}x${height}`);
-                
-                if (width !== 128 || height !== 128) {
-                    console.log(`      - ❌ Logo must be exactly 128x128 pixels: found ${width}x${height}`);
-                } else {
-                    console.log(`      - ✅ Logo size valid: ${width}x${height}`);
-                }
-            } else {
-                console.log(`      - ❌ Unable to read logo dimensions (not a valid PNG?)`);
-            }
-        } else {
-            console.log(`    - ❌ File not found`);
-        }
-        
-        return { directoryValid, directoryMetadataInfo, hasMissingLogo: !fs.existsSync(logoPath) };
-    }
+    // Write the structured results for the workflow artifacts
+    fs.writeFileSync(RESULTS_JSON_PATH, JSON.stringify(toJsonReport(results, { pullRequestAuthor: prAuthor }), null, 2));
+    fs.writeFileSync(RESULTS_SARIF_PATH, JSON.stringify(toSarif(results), null, 2));
+    console.log(`📝 Wrote ${RESULTS_JSON_PATH} and ${RESULTS_SARIF_PATH}`);
 
     let validationSuccess = false;
     let hasMissingMetadata = false;
@@ -1127,10 +560,13 @@ async function main() {
     }
 
     // Manage PR labels based on validation results
-    await managePRLabels(!validationSuccess, hasMissingMetadata, hasInvalidMetadata, hasMissingLogo, validationSuccess, isExternalContribution);
+    await managePRLabels(!validationSuccess, hasMissingMetadata, hasInvalidMetadata, hasMissingLogo, validationSuccess, isExternalContribution, securityReviews.length > 0);
+
+    // Post PR comment with every app's validation result and the security review
+    await postPRComment(validationSuccess, results, summary, formatSecuritySummary(securityReviews));
 
-    // Post PR comment with the collected validation output and metadata info
-    await postPRComment(validationSuccess, individualAppDetails, summary, allMetadataInfo);
+    // Annotate the errors and warnings on the PR diff
+    await publishCheckRun(validationSuccess, results);
 
     // Exit with appropriate code
     if (!validationSuccess) {